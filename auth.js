@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const qrcode = require('qrcode');
+const totp = require('./totp');
+const { ADMIN_ROLE } = require('./permissions');
+const { validationError, userOps, twoFactorOps, loginFailureOps, sessionOps, settingsOps } = require('./database');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'pppoe_billing_secret_key_2024';
+// Access tokens are short-lived; a session stays logged in through its refresh token
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Ended sessions are kept this long so admins can still see them, then purged
+const SESSION_RETENTION_DAYS = 30;
+// Lockout: after this many failed logins the account or client IP is locked for
+// LOCK_MINUTES, doubling with every further failure up to MAX_LOCK_MINUTES.
+// Failures are forgotten after a day without any.
+const MAX_ACCOUNT_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+const LOCK_MINUTES = 1;
+const MAX_LOCK_MINUTES = 60;
+const FAILURE_WINDOW_MINUTES = 24 * 60;
+// Compared against when the username does not exist, so both cases take as long
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+// Same answer for an unknown username and a wrong password
+const LOGIN_FAILED = 'Username atau password salah';
+// Time to enter the authenticator code after the password was accepted
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+// Errors that end in 401: the client has to log in again
+function authError(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+function lockedError(seconds) {
+  const error = new Error(`Terlalu banyak percobaan login. Coba lagi dalam ${Math.ceil(seconds / 60)} menit`);
+  error.status = 429;
+  return error;
+}
+
+// Count a failed login and lock the key once it has too many
+function recordFailure(key, maxFailures) {
+  const { failures } = loginFailureOps.record(key, FAILURE_WINDOW_MINUTES);
+  if (failures < maxFailures) return false;
+
+  loginFailureOps.lock(key, Math.min(LOCK_MINUTES * 2 ** (failures - maxFailures), MAX_LOCK_MINUTES));
+  return true;
+}
+
+// Lockout keys of a login attempt; throws 429 while either is locked
+function checkLockout(username, ip) {
+  const keys = { user: `user:${String(username || '').toLowerCase()}`, ip: `ip:${ip}` };
+
+  const lockedFor = Math.max(loginFailureOps.lockedFor(keys.user), loginFailureOps.lockedFor(keys.ip));
+  if (lockedFor > 0) {
+    throw lockedError(lockedFor);
+  }
+  return keys;
+}
+
+// A successful login forgets the account's failures. The client IP only gets one failure
+// taken off, so users behind a shared IP are not locked out by each other's typos while
+// logging in to an own account does not reset the count for guessing others.
+function loginSucceeded(keys) {
+  loginFailureOps.clear(keys.user);
+  loginFailureOps.decay(keys.ip, 1);
+}
+
+function loginFailed(keys, user, ip) {
+  const locked = recordFailure(keys.user, MAX_ACCOUNT_FAILURES);
+  recordFailure(keys.ip, MAX_IP_FAILURES);
+  if (locked && user) {
+    userOps.logActivity(user.id, 'LOGIN_LOCKED', 'Akun dikunci sementara karena terlalu banyak percobaan login gagal', ip);
+  }
+}
+
+// The user for a username and password, or an error: 401 with one message for every
+// wrong combination, 429 while the account or the client IP is locked out.
+function checkCredentials(username, password, ip) {
+  const keys = checkLockout(username, ip);
+
+  const user = typeof username === 'string' ? userOps.getByUsername(username) : null;
+  const passwordOk = typeof password === 'string' && bcrypt.compareSync(password, user ? user.password : DUMMY_HASH);
+
+  if (!user || !passwordOk) {
+    loginFailed(keys, user, ip);
+    throw authError(LOGIN_FAILED);
+  }
+
+  if (!user.aktif) {
+    throw authError('Akun tidak aktif');
+  }
+
+  // With 2FA the failures are only cleared after the code, or the code could be guessed without limit
+  if (!user.totp_enabled) {
+    loginSucceeded(keys);
+  }
+  return user;
+}
+
+// ==================== TWO-FACTOR ====================
+
+// 2FA is mandatory for admins once the admin_2fa_required setting is on
+function twoFactorRequired(user) {
+  return user.role === ADMIN_ROLE && settingsOps.get('admin_2fa_required') === '1';
+}
+
+// Users that must have 2FA but have not enrolled yet get no API access besides enrollment
+function twoFactorSetupRequired(user) {
+  return !user.totp_enabled && twoFactorRequired(user);
+}
+
+// Short-lived token naming the user whose password was accepted, exchanged with
+// the authenticator code for a session in verifyTwoFactorLogin()
+function twoFactorChallenge(user) {
+  return jwt.sign({ id: user.id, purpose: '2fa' }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_MINUTES * 60 });
+}
+
+function hashRecoveryCode(code) {
+  return hashToken(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''));
+}
+
+// Codes are shown to the user once; only their hashes are stored
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+// Check an authenticator code, or an unused recovery code when recovery_code is given.
+// Returns how the user was verified ('totp' or 'recovery'), or null.
+function checkSecondFactor(userId, { code, recovery_code: recoveryCode } = {}) {
+  const state = twoFactorOps.get(userId);
+  if (!state || !state.totp_enabled) return null;
+
+  if (recoveryCode) {
+    return twoFactorOps.useRecoveryCode(userId, hashRecoveryCode(recoveryCode)) ? 'recovery' : null;
+  }
+
+  const step = totp.verify(state.totp_secret, code);
+  return step !== null && twoFactorOps.useStep(userId, step) ? 'totp' : null;
+}
+
+// Second login step: the challenge from the password step plus a code.
+// Wrong codes count towards the same lockout as wrong passwords.
+function verifyTwoFactorLogin(challengeToken, factor, ip) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(challengeToken || ''), JWT_SECRET);
+  } catch (error) {
+    throw authError('Waktu verifikasi habis, silakan login kembali');
+  }
+  if (decoded.purpose !== '2fa') {
+    throw authError('Token verifikasi tidak valid');
+  }
+
+  const user = userOps.getById(decoded.id);
+  if (!user || !user.aktif) {
+    throw authError('User tidak valid');
+  }
+
+  const keys = checkLockout(user.username, ip);
+  const method = checkSecondFactor(user.id, factor);
+  if (!method) {
+    loginFailed(keys, user, ip);
+    throw authError('Kode verifikasi salah');
+  }
+
+  loginSucceeded(keys);
+  return { user, method };
+}
+
+// Start enrollment: a new secret, as text and as QR code for the authenticator app
+async function setupTwoFactor(user) {
+  if (twoFactorOps.get(user.id).totp_enabled) {
+    throw validationError('2FA sudah aktif');
+  }
+
+  const secret = totp.generateSecret();
+  twoFactorOps.setPendingSecret(user.id, secret);
+
+  const url = totp.otpauthUrl(secret, user.username, settingsOps.get('app_name') || 'PPPoE Billing');
+  const qr = await qrcode.toDataURL(url, { width: 240, margin: 2 });
+  return { secret, otpauth_url: url, qr };
+}
+
+// Finish enrollment with a code from the app; returns the recovery codes
+function enableTwoFactor(userId, code) {
+  const state = twoFactorOps.get(userId);
+  if (state.totp_enabled) {
+    throw validationError('2FA sudah aktif');
+  }
+  if (!state.totp_secret) {
+    throw validationError('Mulai pendaftaran 2FA terlebih dahulu');
+  }
+
+  const step = totp.verify(state.totp_secret, code);
+  if (step === null || !twoFactorOps.useStep(userId, step)) {
+    throw validationError('Kode verifikasi salah');
+  }
+
+  const codes = generateRecoveryCodes();
+  twoFactorOps.enable(userId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+// Check a logged-in user's code for a 2FA change. Wrong codes count towards the
+// login lockout, or a stolen session could guess codes without limit.
+function confirmSecondFactor(user, factor, ip) {
+  const keys = checkLockout(user.username, ip);
+  if (!checkSecondFactor(user.id, factor)) {
+    loginFailed(keys, user, ip);
+    throw validationError('Kode verifikasi salah');
+  }
+  loginSucceeded(keys);
+}
+
+// Replace the recovery codes, for example after some were used; needs a current code
+function regenerateRecoveryCodes(user, code, ip) {
+  confirmSecondFactor(user, { code }, ip);
+
+  const codes = generateRecoveryCodes();
+  twoFactorOps.replaceRecoveryCodes(user.id, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+// Turn 2FA off with the password and a code (or recovery code). Wrong passwords and
+// codes count towards the login lockout.
+function disableTwoFactor(user, { password, code, recovery_code: recoveryCode } = {}, ip) {
+  if (twoFactorRequired(user)) {
+    throw validationError('2FA wajib untuk admin dan tidak dapat dinonaktifkan');
+  }
+
+  const keys = checkLockout(user.username, ip);
+  const account = userOps.getByUsername(user.username);
+  if (typeof password !== 'string' || !bcrypt.compareSync(password, account.password)) {
+    loginFailed(keys, account, ip);
+    throw validationError('Password salah');
+  }
+
+  confirmSecondFactor(user, { code, recovery_code: recoveryCode }, ip);
+  twoFactorOps.disable(user.id);
+}
+
+// Only a hash of the refresh token is stored, so a leaked database cannot resume sessions
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// New access token plus a new refresh token for the session; the previous refresh token stops working
+function issueTokens(user, sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  sessionOps.rotate(sessionId, hashToken(refreshToken), REFRESH_TOKEN_DAYS);
+
+  const token = jwt.sign(
+    { id: user.id, username: user.username, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_MINUTES * 60 }
+  );
+
+  return { token, refresh_token: refreshToken, expires_in: ACCESS_TOKEN_MINUTES * 60 };
+}
+
+// Start a session after a successful login. client: { ip, userAgent }
+function startSession(user, client = {}) {
+  sessionOps.purge(SESSION_RETENTION_DAYS);
+  const sessionId = sessionOps.create(user.id, client, REFRESH_TOKEN_DAYS);
+  return issueTokens(user, sessionId);
+}
+
+// Exchange a refresh token for a new token pair. A refresh token that was already
+// rotated out means it was copied; the whole session is revoked in that case.
+function refreshSession(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw authError('Refresh token diperlukan');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = sessionOps.getByTokenHash(tokenHash);
+
+  if (!session) {
+    const reused = sessionOps.getByPreviousTokenHash(tokenHash);
+    if (reused && sessionOps.revoke(reused.id, 'reuse')) {
+      userOps.logActivity(reused.user_id, 'SESSION_REUSE', `Refresh token lama dipakai lagi, sesi #${reused.id} dicabut`);
+    }
+    throw authError('Refresh token tidak valid');
+  }
+
+  if (!sessionOps.isActive(session.id)) {
+    throw authError('Sesi sudah berakhir, silakan login kembali');
+  }
+
+  const user = userOps.getById(session.user_id);
+  if (!user || !user.aktif) {
+    sessionOps.revoke(session.id, 'user_inactive');
+    throw authError('User tidak valid');
+  }
+
+  return issueTokens(user, session.id);
+}
+
+// The user behind an access token, read fresh from the database.
+// Tokens of ended sessions and of deactivated or deleted users are rejected.
+function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw authError(error.name === 'TokenExpiredError' ? 'Token kedaluwarsa' : 'Token tidak valid');
+  }
+
+  if (!decoded.sid || !sessionOps.isActive(decoded.sid)) {
+    throw authError('Sesi sudah berakhir, silakan login kembali');
+  }
+
+  const user = userOps.getById(decoded.id);
+  if (!user || !user.aktif) {
+    throw authError('User tidak valid');
+  }
+
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    must_change_password: !!user.must_change_password,
+    two_factor_setup_required: twoFactorSetupRequired(user),
+    sid: decoded.sid
+  };
+}
+
+module.exports = {
+  checkCredentials,
+  twoFactorRequired,
+  twoFactorSetupRequired,
+  twoFactorChallenge,
+  checkSecondFactor,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  startSession,
+  refreshSession,
+  verifyAccessToken
+};
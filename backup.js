@@ -0,0 +1,332 @@
+const { db, userOps, settingsOps, validationError } = require('./database');
+const phone = require('./phone');
+
+const BACKUP_VERSION = '1.1';
+// 1.0 backups only carry customers, transactions, settings and users
+const SUPPORTED_VERSIONS = ['1.0', '1.1'];
+const RESTORE_MODES = ['merge', 'replace'];
+
+// Thrown inside the restore transaction to roll a dry run back
+const DRY_RUN = Symbol('dry-run');
+
+// Columns copied from a backup row, with the value used when an older backup lacks them.
+// Ids and references to other rows are remapped separately.
+const COLUMNS = {
+  plans: {
+    nama: null, kecepatan: null, harga: 0, profile: null, deskripsi: null, aktif: 1, created_at: null, updated_at: null
+  },
+  customers: {
+    nama: null, tipe: null, whatsapp: null, username_pppoe: null, password_pppoe: null, alamat: null, harga_khusus: null,
+    terisolir: 0, email: null, channel: null, channel_fallback: null, aktif: 1, created_at: null, updated_at: null
+  },
+  transactions: {
+    customer_nama: null, customer_tipe: null, kategori: null, jumlah: 0, jenis: null, status: 'pending', deskripsi: null,
+    periode: null, jatuh_tempo: null, terbayar: 0, no_invoice: null, created_at: null, updated_at: null
+  },
+  payments: {
+    jumlah: 0, metode: 'tunai', referensi: null, catatan: null, status: 'aktif', alasan_batal: null, created_at: null, reversed_at: null
+  },
+  gas_stock_movements: {
+    tipe: null, qty_isi: 0, qty_kosong: 0, harga_satuan: null, supplier: null, keterangan: null, created_at: null
+  }
+};
+
+// Full export of the business data. Passwords are never included.
+function createBackup(username = null) {
+  const all = (table) => db.prepare(`SELECT * FROM ${table} ORDER BY id`).all();
+
+  return {
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    exported_by: username,
+    plans: all('plans'),
+    customers: all('customers'),
+    transactions: all('transactions'),
+    payments: all('payments'),
+    payment_allocations: all('payment_allocations'),
+    gas_stock_movements: all('gas_stock_movements'),
+    settings: settingsOps.getAll(),
+    users: userOps.getAll().map(u => ({ ...u, password: '***HIDDEN***' }))
+  };
+}
+
+function validateBackup(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw validationError('File backup tidak valid');
+  }
+  if (!SUPPORTED_VERSIONS.includes(String(data.version))) {
+    throw validationError(`Versi backup tidak didukung: ${data.version || '-'} (didukung: ${SUPPORTED_VERSIONS.join(', ')})`);
+  }
+
+  for (const key of ['plans', 'customers', 'transactions', 'payments', 'payment_allocations', 'gas_stock_movements']) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      throw validationError(`Bagian "${key}" pada backup harus berupa array`);
+    }
+  }
+  if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+    throw validationError('Bagian "settings" pada backup harus berupa object');
+  }
+}
+
+function columnsOf(table) {
+  return Object.keys(COLUMNS[table]);
+}
+
+function pick(row, table) {
+  return Object.entries(COLUMNS[table]).map(([column, fallback]) => {
+    const value = row[column];
+    return value !== undefined && value !== null ? value : fallback;
+  });
+}
+
+function insertRow(table, columns, values) {
+  const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+  return db.prepare(sql).run(...values).lastInsertRowid;
+}
+
+// Update a row only when a column actually differs; returns whether it changed
+function updateRow(table, id, columns, values, existing) {
+  if (columns.every((column, i) => existing[column] === values[i])) return false;
+  const sql = `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+  db.prepare(sql).run(...values, id);
+  return true;
+}
+
+function emptyCounts() {
+  return { inserted: 0, updated: 0, skipped: 0, conflicts: 0 };
+}
+
+// Delete everything the backup replaces, children first
+function clearData() {
+  db.exec(`
+    DELETE FROM payment_allocations;
+    DELETE FROM payments;
+    DELETE FROM gas_stock_movements;
+    DELETE FROM billing_invoices;
+    UPDATE message_logs SET customer_id = NULL;
+    DELETE FROM transactions;
+    DELETE FROM customers;
+    DELETE FROM plans;
+    DELETE FROM invoice_sequences;
+  `);
+}
+
+// Move the yearly invoice counters past the restored numbers, e.g. INV/2026/10/0042
+function syncInvoiceSequences() {
+  const rows = db.prepare('SELECT no_invoice FROM transactions WHERE no_invoice IS NOT NULL').all();
+  const highest = {};
+  for (const { no_invoice } of rows) {
+    const match = /\/(\d{4})\/\d{2}\/(\d+)$/.exec(no_invoice);
+    if (!match) continue;
+    const [, year, number] = match;
+    highest[year] = Math.max(highest[year] || 0, parseInt(number));
+  }
+
+  const upsert = db.prepare(`
+    INSERT INTO invoice_sequences (tahun, nomor_terakhir) VALUES (?, ?)
+    ON CONFLICT(tahun) DO UPDATE SET nomor_terakhir = MAX(nomor_terakhir, excluded.nomor_terakhir)
+  `);
+  Object.entries(highest).forEach(([year, number]) => upsert.run(parseInt(year), number));
+}
+
+// Restore a backup in a single transaction.
+// merge: rows matching existing data are updated or skipped, the rest inserted.
+// replace: customers, transactions, payments, plans and stock movements are wiped first.
+// Backup ids are remapped to the new ids so references stay linked.
+// With dryRun the transaction is rolled back and only the report is returned.
+function restore(data, { mode = 'merge', dryRun = false, userId = null } = {}) {
+  validateBackup(data);
+  if (!RESTORE_MODES.includes(mode)) {
+    throw validationError('Mode restore harus "merge" atau "replace"');
+  }
+
+  const report = {
+    version: String(data.version),
+    mode,
+    dry_run: !!dryRun,
+    plans: emptyCounts(),
+    customers: emptyCounts(),
+    transactions: emptyCounts(),
+    payments: emptyCounts(),
+    gas_stock_movements: emptyCounts(),
+    settings: emptyCounts(),
+    warnings: []
+  };
+
+  const userIds = new Set(db.prepare('SELECT id FROM users').all().map(u => u.id));
+  const userRef = (id) => (userIds.has(id) ? id : null);
+  const planMap = new Map();
+  const customerMap = new Map();
+  const transactionMap = new Map();
+
+  const run = db.transaction(() => {
+    if (mode === 'replace') clearData();
+
+    // Plans, matched by their unique name
+    for (const plan of data.plans || []) {
+      const values = pick(plan, 'plans');
+      const existing = db.prepare('SELECT * FROM plans WHERE nama = ?').get(plan.nama);
+      if (existing) {
+        report.plans[updateRow('plans', existing.id, columnsOf('plans'), values, existing) ? 'updated' : 'skipped']++;
+        planMap.set(plan.id, existing.id);
+      } else {
+        planMap.set(plan.id, insertRow('plans', columnsOf('plans'), values));
+        report.plans.inserted++;
+      }
+    }
+
+    // Customers, matched by name and WhatsApp number
+    const customerColumns = [...columnsOf('customers'), 'plan_id'];
+    for (const customer of data.customers || []) {
+      const planId = customer.plan_id ? planMap.get(customer.plan_id) || null : null;
+      if (customer.plan_id && !planId) {
+        report.warnings.push(`Paket #${customer.plan_id} milik ${customer.nama} tidak ada di backup`);
+      }
+
+      // Older backups hold numbers as typed; they are stored canonical like everywhere else
+      const whatsapp = phone.normalize(customer.whatsapp) || customer.whatsapp;
+      const values = [...pick({ ...customer, whatsapp }, 'customers'), planId];
+      const existing = db.prepare('SELECT * FROM customers WHERE nama = ? AND whatsapp = ?').get(customer.nama, whatsapp);
+      if (existing) {
+        report.customers[updateRow('customers', existing.id, customerColumns, values, existing) ? 'updated' : 'skipped']++;
+        customerMap.set(customer.id, existing.id);
+      } else {
+        customerMap.set(customer.id, insertRow('customers', [...customerColumns, 'created_by'], [...values, userRef(customer.created_by)]));
+        report.customers.inserted++;
+      }
+    }
+
+    // Transactions, matched by invoice number or by their content. An invoice number already
+    // used by another customer, amount or date is a conflict and the row is left out.
+    const transactionColumns = [...columnsOf('transactions'), 'customer_id'];
+    for (const t of data.transactions || []) {
+      const customerId = t.customer_id ? customerMap.get(t.customer_id) || null : null;
+      if (t.customer_id && !customerId) {
+        report.warnings.push(`Transaksi #${t.id} merujuk pelanggan #${t.customer_id} yang tidak ada di backup`);
+      }
+
+      const values = [...pick(t, 'transactions'), customerId];
+
+      const existing = t.no_invoice
+        ? db.prepare('SELECT * FROM transactions WHERE no_invoice = ?').get(t.no_invoice)
+        : db.prepare(`
+            SELECT * FROM transactions
+            WHERE customer_id IS ? AND customer_nama = ? AND kategori = ? AND jenis = ? AND jumlah = ? AND created_at = ?
+          `).get(customerId, t.customer_nama, t.kategori, t.jenis, t.jumlah, t.created_at);
+
+      if (existing && t.no_invoice &&
+        (existing.customer_id !== customerId || existing.jumlah !== t.jumlah || existing.created_at !== t.created_at)) {
+        report.transactions.conflicts++;
+        report.warnings.push(`Transaksi #${t.id} dilewati: nomor invoice ${t.no_invoice} sudah dipakai transaksi lain`);
+        continue;
+      }
+      if (existing) {
+        report.transactions[updateRow('transactions', existing.id, transactionColumns, values, existing) ? 'updated' : 'skipped']++;
+        transactionMap.set(t.id, existing.id);
+      } else {
+        transactionMap.set(t.id, insertRow('transactions', [...transactionColumns, 'created_by'], [...values, userRef(t.created_by)]));
+        report.transactions.inserted++;
+      }
+    }
+
+    // Payments with their allocations; payments are never edited, only added
+    const allocations = data.payment_allocations || [];
+    for (const payment of data.payments || []) {
+      const customerId = customerMap.get(payment.customer_id);
+      if (!customerId) {
+        report.payments.skipped++;
+        report.warnings.push(`Pembayaran #${payment.id} dilewati: pelanggan #${payment.customer_id} tidak ada di backup`);
+        continue;
+      }
+
+      const existing = db.prepare('SELECT id FROM payments WHERE customer_id = ? AND jumlah = ? AND created_at = ?')
+        .get(customerId, payment.jumlah, payment.created_at);
+      if (existing) {
+        report.payments.skipped++;
+        continue;
+      }
+
+      const paymentId = insertRow('payments',
+        [...columnsOf('payments'), 'customer_id', 'income_transaction_id', 'created_by', 'reversed_by'],
+        [
+          ...pick(payment, 'payments'),
+          customerId,
+          transactionMap.get(payment.income_transaction_id) || null,
+          userRef(payment.created_by),
+          userRef(payment.reversed_by)
+        ]);
+
+      for (const allocation of allocations.filter(a => a.payment_id === payment.id)) {
+        const transactionId = transactionMap.get(allocation.transaction_id);
+        if (transactionId) {
+          insertRow('payment_allocations', ['payment_id', 'transaction_id', 'jumlah'], [paymentId, transactionId, allocation.jumlah]);
+        }
+      }
+      report.payments.inserted++;
+    }
+
+    // Stock movements, matched by type, quantities and time
+    for (const movement of data.gas_stock_movements || []) {
+      const existing = db.prepare(`
+        SELECT id FROM gas_stock_movements WHERE tipe = ? AND qty_isi = ? AND qty_kosong = ? AND created_at = ?
+      `).get(movement.tipe, movement.qty_isi, movement.qty_kosong, movement.created_at);
+      if (existing) {
+        report.gas_stock_movements.skipped++;
+        continue;
+      }
+
+      insertRow('gas_stock_movements',
+        [...columnsOf('gas_stock_movements'), 'customer_id', 'transaction_id', 'created_by'],
+        [
+          ...pick(movement, 'gas_stock_movements'),
+          customerMap.get(movement.customer_id) || null,
+          transactionMap.get(movement.transaction_id) || null,
+          userRef(movement.created_by)
+        ]);
+      report.gas_stock_movements.inserted++;
+    }
+
+    // Settings are always taken from the backup
+    for (const [key, value] of Object.entries(data.settings || {})) {
+      const current = settingsOps.get(key);
+      if (current === String(value)) {
+        report.settings.skipped++;
+        continue;
+      }
+      settingsOps.set(key, value);
+      report.settings[current === null ? 'inserted' : 'updated']++;
+    }
+
+    // Restored monthly bills keep the billing run from invoicing their period again
+    db.prepare(`
+      INSERT OR IGNORE INTO billing_invoices (periode, customer_id, transaction_id)
+      SELECT periode, customer_id, id FROM transactions
+      WHERE kategori = 'internet' AND jenis = 'pengeluaran' AND periode IS NOT NULL AND customer_id IS NOT NULL
+    `).run();
+    syncInvoiceSequences();
+
+    if (data.users && data.users.length) {
+      report.warnings.push('Data user tidak dipulihkan (password tidak ikut di-backup)');
+    }
+
+    if (dryRun) throw DRY_RUN;
+  });
+
+  try {
+    run();
+  } catch (error) {
+    if (error !== DRY_RUN) throw error;
+  }
+
+  if (!dryRun && userId) {
+    userOps.logActivity(userId, 'RESTORE_DATA', `Restore data dari backup (${mode}): ${report.customers.inserted} pelanggan dan ${report.transactions.inserted} transaksi baru`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  BACKUP_VERSION,
+  createBackup,
+  restore
+};
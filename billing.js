@@ -0,0 +1,133 @@
+const { db, userOps, customerOps, transactionOps, settingsOps, billingOps } = require('./database');
+const { formatPeriod } = require('./format');
+
+// Check once an hour whether the scheduled run is due
+const SCHEDULER_INTERVAL = 60 * 60 * 1000;
+
+let schedulerTimer = null;
+let runCallback = null;
+
+function setCallback(cb) {
+  runCallback = cb;
+}
+
+// Billing period key, e.g. "2026-10"
+function getPeriod(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `${date.getFullYear()}-${month}`;
+}
+
+function isValidPeriod(periode) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(periode);
+}
+
+// Due date within the period, clamped to the last day of the month
+function getDueDate(periode) {
+  const [year, month] = periode.split('-').map(Number);
+  const lastDay = new Date(year, month, 0).getDate();
+  const dueDay = Math.min(parseInt(settingsOps.get('billing_due_day')) || 10, lastDay);
+  return `${periode}-${String(dueDay).padStart(2, '0')}`;
+}
+
+// Generate one pending internet invoice per active customer for the period,
+// priced from the customer's plan or override.
+// Customers already invoiced for the period are skipped, so re-running is safe.
+function runBilling({ periode = getPeriod(), userId = null, source = 'manual' } = {}) {
+  if (!isValidPeriod(periode)) {
+    throw new Error('Format periode tidak valid (YYYY-MM)');
+  }
+
+  const jatuhTempo = getDueDate(periode);
+  const customers = customerOps.getAll({ tipe: 'internet', aktif: true });
+  const summary = { periode, source, total: customers.length, created: 0, skipped: 0, amount: 0 };
+
+  db.transaction(() => {
+    summary.run_id = billingOps.createRun(periode, source, userId);
+
+    for (const customer of customers) {
+      if (billingOps.hasInvoice(periode, customer.id)) {
+        summary.skipped++;
+        continue;
+      }
+
+      const price = customerOps.getPrice(customer);
+
+      const transaction = transactionOps.create({
+        customer_id: customer.id,
+        customer_nama: customer.nama,
+        customer_tipe: customer.tipe,
+        kategori: 'internet',
+        jumlah: price,
+        jenis: 'pengeluaran',
+        status: 'pending',
+        deskripsi: `Tagihan internet periode ${formatPeriod(periode)}`,
+        periode,
+        jatuh_tempo: jatuhTempo
+      });
+
+      billingOps.recordInvoice(periode, customer.id, transaction.id, summary.run_id);
+      summary.created++;
+      summary.amount += price;
+    }
+
+    billingOps.finishRun(summary.run_id, summary);
+  })();
+
+  if (userId) {
+    userOps.logActivity(userId, 'BILLING_RUN', `Generate tagihan ${periode}: ${summary.created} dibuat, ${summary.skipped} dilewati`);
+  }
+
+  console.log(`✅ Billing run ${periode} (${source}): ${summary.created} created, ${summary.skipped} skipped`);
+
+  if (runCallback) {
+    runCallback(summary);
+  }
+
+  return summary;
+}
+
+// Run the scheduled billing once per period, on or after the configured day
+function checkSchedule() {
+  try {
+    if (settingsOps.get('billing_auto') !== '1') return;
+
+    const now = new Date();
+    const billingDay = parseInt(settingsOps.get('billing_day')) || 1;
+    const periode = getPeriod(now);
+
+    if (now.getDate() < billingDay || billingOps.hasScheduledRun(periode)) return;
+
+    runBilling({ periode, source: 'scheduled' });
+  } catch (error) {
+    console.error('Scheduled billing run failed:', error);
+  }
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+  checkSchedule();
+  schedulerTimer = setInterval(checkSchedule, SCHEDULER_INTERVAL);
+}
+
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+// Get billing run history
+function getRuns(limit = 50) {
+  return billingOps.getRuns(limit);
+}
+
+module.exports = {
+  getPeriod,
+  isValidPeriod,
+  getDueDate,
+  runBilling,
+  getRuns,
+  setCallback,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,92 @@
+const { transactionOps, paymentOps, settingsOps } = require('./database');
+const { formatDate } = require('./format');
+
+// Keyword settings for each command; each holds comma separated aliases
+const COMMANDS = {
+  tagihan: 'bot_cmd_tagihan',
+  riwayat: 'bot_cmd_riwayat',
+  bantuan: 'bot_cmd_bantuan'
+};
+
+const HISTORY_LIMIT = 5;
+
+function normalize(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+function formatAmount(num) {
+  return `Rp ${parseInt(num || 0).toLocaleString('id-ID')}`;
+}
+
+function getKeywords(command) {
+  return (settingsOps.get(COMMANDS[command]) || '').split(',').map(normalize).filter(Boolean);
+}
+
+// Command name for an incoming text, or null when it is not a bot command
+function matchCommand(text) {
+  const body = normalize(text);
+  return Object.keys(COMMANDS).find(command => getKeywords(command).includes(body)) || null;
+}
+
+function replyTagihan(customer) {
+  const bills = transactionOps.getPendingByCustomer(customer.id).filter(t => t.sisa > 0);
+  if (bills.length === 0) {
+    return `Halo ${customer.nama}, tidak ada tagihan yang belum lunas. Terima kasih!`;
+  }
+
+  const lines = bills.map((t, i) => {
+    const label = t.no_invoice || t.deskripsi || t.kategori;
+    const due = t.jatuh_tempo ? ` (jatuh tempo ${formatDate(t.jatuh_tempo, 'short')})` : '';
+    return `${i + 1}. ${label}: ${formatAmount(t.sisa)}${due}`;
+  });
+  const total = bills.reduce((sum, t) => sum + t.sisa, 0);
+
+  return `Halo ${customer.nama}, tagihan Anda yang belum lunas:\n${lines.join('\n')}\n\nTotal: ${formatAmount(total)}`;
+}
+
+function replyRiwayat(customer) {
+  const payments = paymentOps.getAll({ customer_id: customer.id, status: 'aktif', limit: HISTORY_LIMIT });
+  if (payments.length === 0) {
+    return `Halo ${customer.nama}, belum ada pembayaran yang tercatat.`;
+  }
+
+  const lines = payments.map(p => `- ${formatDate(p.created_at, 'short')}: ${formatAmount(p.jumlah)} (${p.metode})`);
+  return `Halo ${customer.nama}, ${payments.length} pembayaran terakhir Anda:\n${lines.join('\n')}`;
+}
+
+function replyBantuan() {
+  const appName = settingsOps.get('app_name') || '';
+  const descriptions = {
+    tagihan: 'tagihan yang belum lunas',
+    riwayat: 'riwayat pembayaran terakhir',
+    bantuan: 'daftar perintah'
+  };
+
+  const lines = Object.keys(COMMANDS)
+    .filter(command => getKeywords(command).length > 0)
+    .map(command => `*${getKeywords(command)[0]}* - ${descriptions[command]}`);
+
+  return `Layanan otomatis ${appName}. Kirim salah satu perintah berikut:\n${lines.join('\n')}`;
+}
+
+// { command, reply } for an incoming message, or null when the bot should stay silent.
+// Only command keywords are answered so normal chats with staff are left alone;
+// `customer` is null when the sender is not a registered customer.
+function getReply(text, customer) {
+  if (settingsOps.get('bot_enabled') !== '1') return null;
+
+  const command = matchCommand(text);
+  if (!command) return null;
+
+  if (!customer) {
+    return { command, reply: settingsOps.get('bot_unknown_reply') };
+  }
+
+  const handlers = { tagihan: replyTagihan, riwayat: replyRiwayat, bantuan: replyBantuan };
+  return { command, reply: handlers[command](customer) };
+}
+
+module.exports = {
+  matchCommand,
+  getReply
+};
@@ -0,0 +1,175 @@
+const { userOps, customerOps, broadcastOps, validationError } = require('./database');
+const notifier = require('./notifier');
+const templates = require('./templates');
+
+// Retry interval for jobs waiting for a channel, e.g. WhatsApp right after a restart
+const WORKER_INTERVAL = 30 * 1000;
+// Delay between messages to avoid rate limiting
+const SEND_DELAY = 1500;
+
+let workerTimer = null;
+let working = false;
+let progressCallback = null;
+
+function setCallback(cb) {
+  progressCallback = cb;
+}
+
+function notifyProgress(jobId) {
+  if (progressCallback) {
+    progressCallback(broadcastOps.getById(jobId));
+  }
+}
+
+// Send the job's pending recipients one by one. The job status is re-read
+// before every message so a cancel takes effect between two sends.
+// Returns false when the next recipient's channels cannot send and the job has to wait.
+async function runJob(jobId) {
+  while (true) {
+    const job = broadcastOps.getById(jobId);
+    if (job.status !== 'running') return true;
+    if (!notifier.hasReadyChannel()) return false;
+
+    const recipient = broadcastOps.getNextRecipient(jobId);
+    if (!recipient) {
+      broadcastOps.setStatus(jobId, 'completed');
+      console.log(`✅ Broadcast #${jobId} completed: ${job.sent} sent, ${job.failed} failed`);
+      notifyProgress(jobId);
+      return true;
+    }
+
+    const customer = recipient.customer_id ? customerOps.getById(recipient.customer_id) : null;
+    if (customer && !notifier.hasReadyChannel(customer)) return false;
+
+    if (!customer) {
+      broadcastOps.recordResult(recipient.id, 'failed', 'Pelanggan tidak ditemukan');
+    } else {
+      const message = templates.render(recipient.template || job.template, customer, { amount: recipient.jumlah });
+      const result = await notifier.sendBillingMessage(customer.id, message, job.created_by);
+      broadcastOps.recordResult(recipient.id, result.success ? 'success' : 'failed', result.error);
+    }
+
+    notifyProgress(jobId);
+    await new Promise(resolve => setTimeout(resolve, SEND_DELAY));
+  }
+}
+
+// Work through queued and running jobs, oldest first, one at a time.
+// Jobs left running by a restart are picked up again here; a recipient that
+// was being sent when the server stopped is still pending and is sent again.
+async function processQueue() {
+  if (working) return;
+  working = true;
+
+  try {
+    let job;
+    while ((job = broadcastOps.getNextJob())) {
+      if (job.status === 'queued') {
+        broadcastOps.setStatus(job.id, 'running');
+        notifyProgress(job.id);
+      }
+      if (!(await runJob(job.id))) break;
+    }
+  } catch (error) {
+    console.error('Broadcast worker failed:', error);
+  } finally {
+    working = false;
+  }
+}
+
+// Queue a broadcast to every customer with pending bills. Without a template or
+// template_id every customer gets the default template of their tipe.
+function createJob({ template, template_id } = {}, userId = null) {
+  if (!notifier.hasReadyChannel()) {
+    throw validationError('Tidak ada channel notifikasi yang siap');
+  }
+
+  const shared = templates.resolveText({ template, template_id });
+  if (template_id && !shared) {
+    throw validationError('Template tidak ditemukan');
+  }
+
+  const debtors = customerOps.getWithPending();
+  if (debtors.length === 0) {
+    throw validationError('Tidak ada pelanggan dengan tunggakan');
+  }
+
+  const recipients = debtors.map(debtor => ({ ...debtor, template: shared || templates.resolveText({}, debtor.tipe) }));
+  const missing = recipients.find(recipient => !recipient.template);
+  if (missing) {
+    throw validationError(`Belum ada template default untuk pelanggan ${missing.tipe}`);
+  }
+
+  const job = broadcastOps.create(shared, recipients, userId);
+  console.log(`Broadcast #${job.id} queued for ${debtors.length} customers`);
+
+  processQueue();
+  return job;
+}
+
+function cancelJob(id, userId = null) {
+  const job = broadcastOps.getById(id);
+  if (!job) return null;
+
+  if (!['queued', 'running'].includes(job.status)) {
+    throw validationError('Broadcast sudah selesai atau dibatalkan');
+  }
+
+  broadcastOps.setStatus(id, 'cancelled');
+  if (userId) userOps.logActivity(userId, 'CANCEL_BROADCAST', `Batalkan broadcast #${id}`);
+
+  notifyProgress(id);
+  return broadcastOps.getById(id);
+}
+
+// Continue a cancelled job with the recipients it has not reached yet
+function resumeJob(id, userId = null) {
+  const job = broadcastOps.getById(id);
+  if (!job) return null;
+
+  if (job.status !== 'cancelled' || job.pending === 0) {
+    throw validationError('Hanya broadcast yang dibatalkan dan belum selesai yang bisa dilanjutkan');
+  }
+
+  broadcastOps.setStatus(id, 'queued');
+  if (userId) userOps.logActivity(userId, 'RESUME_BROADCAST', `Lanjutkan broadcast #${id}`);
+
+  notifyProgress(id);
+  processQueue();
+  return broadcastOps.getById(id);
+}
+
+function getJobs(limit = 50) {
+  return broadcastOps.getAll(limit);
+}
+
+function getJob(id) {
+  const job = broadcastOps.getById(id);
+  if (!job) return null;
+  job.recipients = broadcastOps.getRecipients(id);
+  return job;
+}
+
+function startWorker() {
+  if (workerTimer) return;
+  processQueue();
+  workerTimer = setInterval(processQueue, WORKER_INTERVAL);
+}
+
+function stopWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  createJob,
+  cancelJob,
+  resumeJob,
+  getJobs,
+  getJob,
+  setCallback,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,83 @@
+// Quote a field when it contains a delimiter, quote or line break (RFC 4180)
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function formatRow(values) {
+  return values.map(escapeField).join(',') + '\r\n';
+}
+
+// columns: [{ key, label }]; key may also be a function of the row
+function toCsv(rows, columns) {
+  let csv = formatRow(columns.map(col => col.label));
+  rows.forEach(row => {
+    csv += formatRow(columns.map(col => (typeof col.key === 'function' ? col.key(row) : row[col.key])));
+  });
+  return csv;
+}
+
+// Spreadsheet exports in Indonesian locales separate fields with ';'
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+}
+
+// Parse CSV text into rows of strings. Quoted fields may contain delimiters,
+// doubled quotes and line breaks. Blank lines are dropped.
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Tanda kutip pada CSV tidak ditutup');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+module.exports = {
+  escapeField,
+  formatRow,
+  toCsv,
+  parseCsv
+};
@@ -1,103 +1,112 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const bcrypt = require('bcryptjs');
+const { runMigrations } = require('./migrate');
+const phone = require('./phone');
+const { formatIDR } = require('./format');
+const { PERMISSIONS, ADMIN_ROLE, isPermission } = require('./permissions');
 
-const dbPath = path.join(__dirname, 'billing.db');
+// DB_PATH points elsewhere, e.g. a scratch database for the tests
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'billing.db');
 const db = new Database(dbPath);
 
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
-// Initialize all tables
-db.exec(`
-  -- Users table
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    password TEXT NOT NULL,
-    nama_lengkap TEXT NOT NULL,
-    role TEXT NOT NULL DEFAULT 'staff' CHECK(role IN ('admin', 'staff')),
-    aktif INTEGER DEFAULT 1,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  -- Customers table
-  CREATE TABLE IF NOT EXISTS customers (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    nama TEXT NOT NULL,
-    tipe TEXT NOT NULL CHECK(tipe IN ('internet', 'gas')),
-    whatsapp TEXT NOT NULL,
-    username_pppoe TEXT,
-    password_pppoe TEXT,
-    alamat TEXT,
-    aktif INTEGER DEFAULT 1,
-    created_by INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (created_by) REFERENCES users(id)
-  );
-
-  -- Transactions table
-  CREATE TABLE IF NOT EXISTS transactions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    customer_id INTEGER NOT NULL,
-    customer_nama TEXT NOT NULL,
-    customer_tipe TEXT NOT NULL,
-    kategori TEXT NOT NULL,
-    jumlah INTEGER NOT NULL,
-    jenis TEXT NOT NULL CHECK(jenis IN ('pemasukan', 'pengeluaran')),
-    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'lunas')),
-    deskripsi TEXT,
-    created_by INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (customer_id) REFERENCES customers(id),
-    FOREIGN KEY (created_by) REFERENCES users(id)
-  );
-
-  -- Settings table
-  CREATE TABLE IF NOT EXISTS settings (
-    key TEXT PRIMARY KEY UNIQUE,
-    value TEXT,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  -- Message logs table
-  CREATE TABLE IF NOT EXISTS message_logs (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    customer_id INTEGER,
-    customer_nama TEXT,
-    phone TEXT NOT NULL,
-    message_type TEXT NOT NULL,
-    status TEXT NOT NULL CHECK(status IN ('success', 'failed', 'pending')),
-    message_preview TEXT,
-    error_message TEXT,
-    sent_by INTEGER,
-    sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (customer_id) REFERENCES customers(id),
-    FOREIGN KEY (sent_by) REFERENCES users(id)
-  );
-
-  -- Activity logs untuk audit trail
-  CREATE TABLE IF NOT EXISTS activity_logs (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    action TEXT NOT NULL,
-    details TEXT,
-    ip_address TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-`);
-
-// Create default admin user if not exists
+// Bring the schema up to date before anything touches it
+runMigrations(db);
+
+// Errors caused by invalid input; routes answer these with 400 instead of 500
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const MAX_PAGE_SIZE = 1000;
+
+// Inclusive from/to filter (YYYY-MM-DD) on a UTC timestamp column, by local date
+function dateRangeFilter(column, { from, to }, params) {
+  let sql = '';
+  for (const [value, operator, label] of [[from, '>=', 'from'], [to, '<=', 'to']]) {
+    if (!value) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw validationError(`Format tanggal ${label} tidak valid (YYYY-MM-DD)`);
+    }
+    sql += ` AND date(${column}, 'localtime') ${operator} ?`;
+    params.push(value);
+  }
+  return sql;
+}
+
+// ORDER BY for a list request; clients may only sort by the list's sort names
+function listOrder(list, options) {
+  const sort = options.sort || list.sort;
+  if (!Object.prototype.hasOwnProperty.call(list.sorts, sort)) {
+    throw validationError(`Urutan tidak valid, pilih salah satu: ${Object.keys(list.sorts).join(', ')}`);
+  }
+
+  const order = String(options.order || (options.sort ? 'asc' : list.order)).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    throw validationError('Arah urutan harus asc atau desc');
+  }
+
+  const sql = `${list.sorts[sort]} ${order.toUpperCase()}, ${list.tieBreaker} ${order.toUpperCase()}`;
+  return { sort, order, sql };
+}
+
+// Run a filtered list query one page at a time.
+// list: { sorts: { name: sql }, sort, order, tieBreaker } - tieBreaker is the row's id column
+// options: { sort, order, limit, offset } from the request; without a limit every row is returned
+function paginate(query, params, list, options = {}) {
+  const { sort, order, sql: orderBy } = listOrder(list, options);
+
+  const limit = options.limit !== undefined && options.limit !== '' ? Number(options.limit) : null;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)) {
+    throw validationError(`limit harus antara 1 dan ${MAX_PAGE_SIZE}`);
+  }
+  const offset = options.offset !== undefined && options.offset !== '' ? Number(options.offset) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw validationError('offset tidak valid');
+  }
+
+  const total = db.prepare(`SELECT COUNT(*) as total FROM (${query})`).get(...params).total;
+
+  let sql = `${query} ORDER BY ${orderBy}`;
+  const pageParams = [...params];
+  if (limit !== null) {
+    sql += ' LIMIT ? OFFSET ?';
+    pageParams.push(limit, offset);
+  }
+
+  return {
+    data: db.prepare(sql).all(...pageParams),
+    pagination: { total, limit, offset, sort, order }
+  };
+}
+
+// Every row of a filtered list in list order, `size` rows at a time, for exports.
+// The ordered ids are read once up front, so rows written while the chunks are
+// read cannot shift between chunks; rows deleted in the meantime are left out.
+function* chunked(query, params, list, options, size) {
+  const { sql: orderBy } = listOrder(list, options);
+  const ids = db.prepare(`SELECT id FROM (${query} ORDER BY ${orderBy})`).pluck().all(...params);
+
+  for (let i = 0; i < ids.length; i += size) {
+    const chunk = ids.slice(i, i + size);
+    const rows = db.prepare(`${query} AND ${list.tieBreaker} IN (${chunk.map(() => '?').join(', ')})`).all(...params, ...chunk);
+    const byId = new Map(rows.map(row => [row.id, row]));
+    yield chunk.filter(id => byId.has(id)).map(id => byId.get(id));
+  }
+}
+
+// Default users have to change their password at first login
 const adminExists = db.prepare('SELECT id FROM users WHERE username = ?').get('admin');
 if (!adminExists) {
   const hashedPassword = bcrypt.hashSync('admin123', 10);
   db.prepare(`
-    INSERT INTO users (username, password, nama_lengkap, role)
-    VALUES (?, ?, ?, ?)
+    INSERT INTO users (username, password, nama_lengkap, role, must_change_password)
+    VALUES (?, ?, ?, ?, 1)
   `).run('admin', hashedPassword, 'Administrator', 'admin');
   console.log('✅ Default admin user created (admin / admin123)');
 }
@@ -107,8 +116,8 @@ const staffExists = db.prepare('SELECT id FROM users WHERE username = ?').get('s
 if (!staffExists) {
   const hashedPassword = bcrypt.hashSync('staff123', 10);
   db.prepare(`
-    INSERT INTO users (username, password, nama_lengkap, role)
-    VALUES (?, ?, ?, ?)
+    INSERT INTO users (username, password, nama_lengkap, role, must_change_password)
+    VALUES (?, ?, ?, ?, 1)
   `).run('staff', hashedPassword, 'Staff Kasir', 'staff');
   console.log('✅ Default staff user created (staff / staff123)');
 }
@@ -118,7 +127,32 @@ const defaultSettings = {
   'price_internet': '150000',
   'price_gas': '22000',
   'app_name': 'PPPoE Billing Pro',
-  'business_address': '-'
+  'business_address': '-',
+  'billing_auto': '1',
+  'billing_day': '1',
+  'billing_due_day': '10',
+  'isolir_auto': '0',
+  'isolir_overdue_days': '30',
+  'gas_stock_min': '10',
+  'invoice_prefix': 'INV',
+  'reminder_time': '09:00',
+  'notify_channel': 'whatsapp',
+  'notify_fallback': '',
+  'bot_enabled': '1',
+  'bot_cmd_tagihan': 'CEK TAGIHAN, TAGIHAN',
+  'bot_cmd_riwayat': 'RIWAYAT',
+  'bot_cmd_bantuan': 'BANTUAN, HELP',
+  'bot_unknown_reply': 'Mohon maaf, nomor ini belum terdaftar sebagai pelanggan kami. Silakan hubungi admin untuk informasi lebih lanjut. Terima kasih.',
+  'admin_whatsapp': '',
+  'backup_enabled': '1',
+  'backup_time': '02:00',
+  'backup_keep_daily': '7',
+  'backup_keep_weekly': '4',
+  'backup_keep_monthly': '6',
+  'password_min_length': '8',
+  'password_require_mixed': '1',
+  'password_require_symbol': '0',
+  'admin_2fa_required': '0'
 };
 
 Object.entries(defaultSettings).forEach(([key, value]) => {
@@ -127,32 +161,160 @@ Object.entries(defaultSettings).forEach(([key, value]) => {
   `).run(key, value);
 });
 
+// Example reminder rules, created inactive so nothing is sent until an admin enables them
+if (db.prepare('SELECT COUNT(*) as count FROM reminder_rules').get().count === 0) {
+  const insertRule = db.prepare('INSERT INTO reminder_rules (nama, offset_hari, template, aktif) VALUES (?, ?, ?, 0)');
+  insertRule.run('3 hari sebelum jatuh tempo', -3, 'Halo {nama}, tagihan {tipe} periode {periode} sebesar Rp {jumlah} akan jatuh tempo dalam 3 hari. Terima kasih.');
+  insertRule.run('Hari jatuh tempo', 0, 'Halo {nama}, tagihan {tipe} periode {periode} sebesar Rp {jumlah} jatuh tempo hari ini. Mohon segera melakukan pembayaran.');
+  insertRule.run('7 hari lewat jatuh tempo', 7, 'Halo {nama}, tagihan {tipe} periode {periode} sebesar Rp {jumlah} sudah lewat 7 hari dari jatuh tempo. Mohon segera melakukan pembayaran agar layanan tetap aktif.');
+}
+
+// Default billing templates, previously hard-coded in the web UI
+if (db.prepare('SELECT COUNT(*) as count FROM message_templates').get().count === 0) {
+  const insertTemplate = db.prepare('INSERT INTO message_templates (nama, tipe, isi, is_default) VALUES (?, ?, ?, 1)');
+  const insertVersion = db.prepare('INSERT INTO message_template_versions (template_id, versi, isi) VALUES (?, 1, ?)');
+  [
+    ['Tagihan Internet', 'internet', `🏠 *NOTIFIKASI TAGIHAN INTERNET*
+
+Halo {nama}!
+
+Berikut adalah detail tagihan layanan internet Anda:
+
+📅 Periode : {periode}
+
+💰 *Total Tagihan: Rp {jumlah}*
+{#tunggakan}
+Rincian tagihan belum lunas:
+{rincian_tagihan}
+{/tunggakan}
+Mohon segera lakukan pembayaran agar layanan tetap aktif.
+
+Terima kasih! 🙏
+
+* {app_name} *`],
+    ['Faktur Gas', 'gas', `🔥 *FAKTUR PENJUALAN GAS*
+
+Halo {nama}!
+
+📅 Tanggal : {tanggal}
+⛽ Jenis   : Gas {tipe}
+
+💰 *Total Pembayaran: Rp {jumlah}*
+
+Silakan lakukan pembayaran sesuai nominal di atas.
+
+Hormat kami,
+* {app_name} *`]
+  ].forEach(([nama, tipe, isi]) => {
+    const templateId = insertTemplate.run(nama, tipe, isi).lastInsertRowid;
+    insertVersion.run(templateId, isi);
+  });
+}
+
 console.log('✅ Database initialized at:', dbPath);
 
 // ==================== USER OPERATIONS ====================
+const ACTIVITY_LIST = {
+  sorts: { created_at: 'a.created_at', action: 'a.action', username: 'u.username' },
+  sort: 'created_at',
+  order: 'desc',
+  tieBreaker: 'a.id'
+};
+
+// Activity log query without ORDER BY, shared by getActivityPage and getActivityChunks
+function activityQuery(filter) {
+  let query = `
+    SELECT a.*, u.username
+    FROM activity_logs a
+    LEFT JOIN users u ON a.user_id = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filter.user_id) {
+    query += ' AND a.user_id = ?';
+    params.push(filter.user_id);
+  }
+  
+  if (filter.action) {
+    query += ' AND a.action = ?';
+    params.push(filter.action);
+  }
+  
+  query += dateRangeFilter('a.created_at', filter, params);
+  
+  return { query, params };
+}
+
+// Password policy from settings: password_min_length, password_require_mixed (letters and digits)
+// and password_require_symbol
+function checkPassword(password, username) {
+  const minLength = Math.max(parseInt(settingsOps.get('password_min_length')) || 8, 6);
+  
+  if (typeof password !== 'string' || password.length < minLength) {
+    throw validationError(`Password minimal ${minLength} karakter`);
+  }
+  if (password.length > 128) {
+    throw validationError('Password maksimal 128 karakter');
+  }
+  if (settingsOps.get('password_require_mixed') === '1' && !(/[a-z]/i.test(password) && /\d/.test(password))) {
+    throw validationError('Password harus mengandung huruf dan angka');
+  }
+  if (settingsOps.get('password_require_symbol') === '1' && !/[^a-z0-9]/i.test(password)) {
+    throw validationError('Password harus mengandung simbol');
+  }
+  if (username && username.length >= 3 && password.toLowerCase().includes(username.toLowerCase())) {
+    throw validationError('Password tidak boleh mengandung username');
+  }
+}
+
+const USER_COLUMNS = 'id, username, nama_lengkap, role, aktif, must_change_password, totp_enabled, created_at';
+
 const userOps = {
-  getAll: () => db.prepare('SELECT id, username, nama_lengkap, role, aktif, created_at FROM users ORDER BY role, nama_lengkap').all(),
+  getAll: () => db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY role, nama_lengkap`).all(),
   
-  getById: (id) => db.prepare('SELECT id, username, nama_lengkap, role, aktif, created_at FROM users WHERE id = ?').get(id),
+  getById: (id) => db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(id),
   
   getByUsername: (username) => db.prepare('SELECT * FROM users WHERE username = ?').get(username),
   
   create: (data) => {
+    const role = data.role || 'staff';
+    if (!roleOps.getByName(role)) {
+      throw validationError(`Role ${role} tidak ditemukan`);
+    }
+    checkPassword(data.password, data.username);
+    
     const hashedPassword = bcrypt.hashSync(data.password, 10);
     const stmt = db.prepare(`
       INSERT INTO users (username, password, nama_lengkap, role)
       VALUES (?, ?, ?, ?)
     `);
-    const result = stmt.run(data.username, hashedPassword, data.nama_lengkap, data.role || 'staff');
-    return { id: result.lastInsertRowid, ...data };
+    const result = stmt.run(data.username, hashedPassword, data.nama_lengkap, role);
+    return userOps.getById(result.lastInsertRowid);
   },
   
+  // Fields left undefined keep their current value
   update: (id, data) => {
+    const user = userOps.getById(id);
+    if (!user) return null;
+    
+    if (data.role !== undefined && !roleOps.getByName(data.role)) {
+      throw validationError(`Role ${data.role} tidak ditemukan`);
+    }
+    if (data.password) {
+      checkPassword(data.password, user.username);
+    }
+    
     let query = 'UPDATE users SET nama_lengkap = ?, role = ?, aktif = ?, updated_at = CURRENT_TIMESTAMP';
-    const params = [data.nama_lengkap, data.role, data.aktif ? 1 : 0];
+    const params = [
+      data.nama_lengkap !== undefined ? data.nama_lengkap : user.nama_lengkap,
+      data.role !== undefined ? data.role : user.role,
+      data.aktif !== undefined ? (data.aktif ? 1 : 0) : user.aktif
+    ];
     
+    // A new password also lifts the forced change of default accounts
     if (data.password) {
-      query += ', password = ?';
+      query += ', password = ?, must_change_password = 0';
       params.push(bcrypt.hashSync(data.password, 10));
     }
     
@@ -167,42 +329,403 @@ const userOps = {
     return bcrypt.compareSync(password, user.password);
   },
   
+  // Users that already own data (activity, transactions, ...) cannot be deleted, only deactivated
+  delete: (id) => {
+    try {
+      return db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+        throw validationError('User sudah memiliki riwayat data dan tidak dapat dihapus, nonaktifkan saja');
+      }
+      throw error;
+    }
+  },
+  
   logActivity: (userId, action, details = '', ip = '') => {
     db.prepare('INSERT INTO activity_logs (user_id, action, details, ip_address) VALUES (?, ?, ?, ?)').run(userId, action, details, ip);
+  },
+  
+  // Filtered page of the activity log with total count, see paginate()
+  getActivityPage: (filter = {}, options = {}) => {
+    const { query, params } = activityQuery(filter);
+    return paginate(query, params, ACTIVITY_LIST, options);
+  },
+  
+  // Every matching activity log row in chunks, see chunked()
+  getActivityChunks: (filter = {}, options = {}, size) => {
+    const { query, params } = activityQuery(filter);
+    return chunked(query, params, ACTIVITY_LIST, options, size);
+  }
+};
+
+// ==================== TWO-FACTOR OPERATIONS ====================
+// TOTP secrets and recovery codes, see auth.js for the enrollment and login flow
+const twoFactorOps = {
+  get: (userId) => db.prepare('SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?').get(userId),
+  
+  // Secret from a started enrollment; it only protects the account after enable()
+  setPendingSecret: (userId, secret) => {
+    db.prepare('UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL WHERE id = ?').run(secret, userId);
+  },
+  
+  enable: (userId, codeHashes) => {
+    db.transaction(() => {
+      db.prepare('UPDATE users SET totp_enabled = 1 WHERE id = ?').run(userId);
+      twoFactorOps.replaceRecoveryCodes(userId, codeHashes);
+    })();
+  },
+  
+  disable: (userId) => {
+    db.transaction(() => {
+      db.prepare('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?').run(userId);
+      db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+    })();
+  },
+  
+  // Remember the step of an accepted code; false when it (or a later one) was already used
+  useStep: (userId, step) => {
+    return db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)')
+      .run(step, userId, step).changes > 0;
+  },
+  
+  replaceRecoveryCodes: (userId, codeHashes) => {
+    db.transaction(() => {
+      db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+      const insert = db.prepare('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+      codeHashes.forEach(hash => insert.run(userId, hash));
+    })();
+  },
+  
+  useRecoveryCode: (userId, codeHash) => {
+    return db.prepare('UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL')
+      .run(userId, codeHash).changes > 0;
+  },
+  
+  remainingRecoveryCodes: (userId) => {
+    return db.prepare('SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL').get(userId).count;
+  }
+};
+
+// ==================== LOGIN FAILURE OPERATIONS ====================
+// Keyed by 'user:<username>' or 'ip:<address>', see auth.js for the lockout policy
+const loginFailureOps = {
+  get: (key) => db.prepare('SELECT * FROM login_failures WHERE key = ?').get(key),
+  
+  // Count a failed login; the count starts over when the last failure is older than resetMinutes
+  record: (key, resetMinutes) => {
+    db.prepare(`
+      INSERT INTO login_failures (key, failures, last_failed_at) VALUES (?, 1, CURRENT_TIMESTAMP)
+      ON CONFLICT(key) DO UPDATE SET
+        failures = CASE WHEN last_failed_at < datetime('now', ?) THEN 1 ELSE failures + 1 END,
+        last_failed_at = CURRENT_TIMESTAMP
+    `).run(key, `-${resetMinutes} minutes`);
+    return loginFailureOps.get(key);
+  },
+  
+  lock: (key, minutes) => {
+    db.prepare("UPDATE login_failures SET locked_until = datetime('now', ?) WHERE key = ?").run(`+${minutes} minutes`, key);
+  },
+  
+  // Seconds left on a lock, 0 when the key is not locked
+  lockedFor: (key) => {
+    const row = db.prepare(`
+      SELECT CAST(strftime('%s', locked_until) - strftime('%s', 'now') AS INTEGER) as seconds
+      FROM login_failures WHERE key = ? AND locked_until > datetime('now')
+    `).get(key);
+    return row ? row.seconds : 0;
+  },
+  
+  // Take failures off a key's count without forgetting the rest
+  decay: (key, count) => {
+    db.prepare('UPDATE login_failures SET failures = MAX(failures - ?, 0) WHERE key = ?').run(count, key);
+  },
+  
+  clear: (key) => {
+    db.prepare('DELETE FROM login_failures WHERE key = ?').run(key);
+  }
+};
+
+// ==================== SESSION OPERATIONS ====================
+const ACTIVE_SESSION = "revoked_at IS NULL AND expires_at > datetime('now')";
+
+const sessionOps = {
+  create: (userId, client = {}, days) => {
+    const result = db.prepare(`
+      INSERT INTO user_sessions (user_id, ip_address, user_agent, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(userId, client.ip || null, client.userAgent || null, `+${days} days`);
+    return result.lastInsertRowid;
+  },
+  
+  // Store a new refresh token, keeping the replaced one for reuse detection
+  rotate: (id, tokenHash, days) => {
+    db.prepare(`
+      UPDATE user_sessions SET previous_token_hash = token_hash, token_hash = ?,
+        last_used_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+      WHERE id = ?
+    `).run(tokenHash, `+${days} days`, id);
+  },
+  
+  getById: (id) => db.prepare('SELECT * FROM user_sessions WHERE id = ?').get(id),
+  
+  getByTokenHash: (tokenHash) => db.prepare('SELECT * FROM user_sessions WHERE token_hash = ?').get(tokenHash),
+  
+  getByPreviousTokenHash: (tokenHash) => db.prepare('SELECT * FROM user_sessions WHERE previous_token_hash = ?').get(tokenHash),
+  
+  isActive: (id) => !!db.prepare(`SELECT 1 FROM user_sessions WHERE id = ? AND ${ACTIVE_SESSION}`).get(id),
+  
+  getActiveByUser: (userId) => {
+    return db.prepare(`
+      SELECT id, user_id, ip_address, user_agent, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE user_id = ? AND ${ACTIVE_SESSION}
+      ORDER BY last_used_at DESC
+    `).all(userId);
+  },
+  
+  revoke: (id, reason) => {
+    return db.prepare(`UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL`)
+      .run(reason, id).changes > 0;
+  },
+  
+  // Revoke every active session of a user, optionally keeping one (the caller's own)
+  revokeAll: (userId, reason, exceptId = 0) => {
+    return db.prepare(`UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ? WHERE user_id = ? AND id != ? AND revoked_at IS NULL`)
+      .run(reason, userId, exceptId).changes;
+  },
+  
+  // Drop sessions that ended more than `days` ago
+  purge: (days) => {
+    return db.prepare(`
+      DELETE FROM user_sessions
+      WHERE COALESCE(revoked_at, expires_at) < datetime('now', ?)
+    `).run(`-${days} days`).changes;
+  }
+};
+
+// ==================== ROLE OPERATIONS ====================
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// Permission list of a role: only known permissions, without duplicates
+function rolePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    throw validationError('permissions harus berupa array');
+  }
+  const unknown = permissions.filter(p => !isPermission(p));
+  if (unknown.length > 0) {
+    throw validationError(`Izin tidak dikenal: ${unknown.join(', ')}`);
+  }
+  return [...new Set(permissions)];
+}
+
+const roleOps = {
+  getAll: () => {
+    return db.prepare(`
+      SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.nama) as jumlah_user
+      FROM roles r
+      ORDER BY r.sistem DESC, r.id
+    `).all().map(role => ({ ...role, permissions: roleOps.getPermissions(role.nama) }));
+  },
+  
+  getByName: (nama) => {
+    const role = db.prepare('SELECT * FROM roles WHERE nama = ?').get(nama);
+    return role ? { ...role, permissions: roleOps.getPermissions(role.nama) } : undefined;
+  },
+  
+  // Admin holds every permission, including ones added after the role was created
+  getPermissions: (nama) => {
+    if (nama === ADMIN_ROLE) return Object.keys(PERMISSIONS);
+    return db.prepare(`
+      SELECT rp.permission FROM role_permissions rp
+      INNER JOIN roles r ON r.id = rp.role_id
+      WHERE r.nama = ?
+      ORDER BY rp.permission
+    `).all(nama).map(p => p.permission).filter(isPermission);
+  },
+  
+  hasPermission: (nama, permission) => {
+    if (nama === ADMIN_ROLE) return true;
+    return !!db.prepare(`
+      SELECT 1 FROM role_permissions rp
+      INNER JOIN roles r ON r.id = rp.role_id
+      WHERE r.nama = ? AND rp.permission = ?
+    `).get(nama, permission);
+  },
+  
+  setPermissions: (roleId, permissions) => {
+    db.prepare('DELETE FROM role_permissions WHERE role_id = ?').run(roleId);
+    const insert = db.prepare('INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)');
+    permissions.forEach(permission => insert.run(roleId, permission));
+  },
+  
+  create: (data, userId = null) => {
+    if (!ROLE_NAME_PATTERN.test(data.nama || '')) {
+      throw validationError('Nama role 2-32 karakter: huruf kecil, angka, - atau _, diawali huruf');
+    }
+    if (roleOps.getByName(data.nama)) {
+      throw validationError('Nama role sudah digunakan');
+    }
+    const permissions = rolePermissions(data.permissions || []);
+    
+    db.transaction(() => {
+      const result = db.prepare('INSERT INTO roles (nama, label, deskripsi) VALUES (?, ?, ?)')
+        .run(data.nama, data.label || data.nama, data.deskripsi || null);
+      roleOps.setPermissions(result.lastInsertRowid, permissions);
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'CREATE_ROLE', `Menambah role: ${data.nama} (${permissions.length} izin)`);
+    
+    return roleOps.getByName(data.nama);
+  },
+  
+  // label, deskripsi and permissions keep their current value when left undefined
+  update: (nama, data, userId = null) => {
+    const role = roleOps.getByName(nama);
+    if (!role) return null;
+    
+    if (role.nama === ADMIN_ROLE) {
+      throw validationError('Role admin tidak dapat diubah');
+    }
+    const permissions = data.permissions !== undefined ? rolePermissions(data.permissions) : null;
+    
+    db.transaction(() => {
+      db.prepare('UPDATE roles SET label = ?, deskripsi = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(
+        data.label || role.label,
+        data.deskripsi !== undefined ? (data.deskripsi || null) : role.deskripsi,
+        role.id
+      );
+      if (permissions) roleOps.setPermissions(role.id, permissions);
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'UPDATE_ROLE', `Update role: ${nama}${permissions ? ` (${permissions.length} izin)` : ''}`);
+    
+    return roleOps.getByName(nama);
+  },
+  
+  delete: (nama, userId = null) => {
+    const role = roleOps.getByName(nama);
+    if (!role) return false;
+    
+    if (role.sistem) {
+      throw validationError('Role bawaan sistem tidak dapat dihapus');
+    }
+    const used = db.prepare('SELECT COUNT(*) as count FROM users WHERE role = ?').get(nama).count;
+    if (used > 0) {
+      throw validationError(`Role masih digunakan oleh ${used} user`);
+    }
+    
+    db.prepare('DELETE FROM roles WHERE id = ?').run(role.id);
+    if (userId) userOps.logActivity(userId, 'DELETE_ROLE', `Hapus role: ${nama}`);
+    return true;
   }
 };
 
 // ==================== CUSTOMER OPERATIONS ====================
+// Customer list query without ORDER BY, shared by getAll and getPage
+function customerQuery(filter) {
+  let query = `
+    SELECT c.*, p.nama as plan_nama, p.profile as plan_profile, COALESCE(c.harga_khusus, p.harga) as harga
+    FROM customers c
+    LEFT JOIN plans p ON c.plan_id = p.id
+    WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filter.tipe) {
+    query += ' AND c.tipe = ?';
+    params.push(filter.tipe);
+  }
+  
+  if (filter.aktif !== undefined) {
+    query += ' AND c.aktif = ?';
+    params.push(filter.aktif ? 1 : 0);
+  }
+  
+  if (filter.plan_id) {
+    query += ' AND c.plan_id = ?';
+    params.push(filter.plan_id);
+  }
+  
+  if (filter.search) {
+    // Numbers are stored as +62..., so "0812" is searched as 62812
+    const digits = phone.searchDigits(filter.search);
+    query += ' AND (c.nama LIKE ? OR c.whatsapp LIKE ?)';
+    params.push(`%${filter.search}%`, `%${digits || filter.search}%`);
+  }
+  
+  query += dateRangeFilter('c.created_at', filter, params);
+  
+  return { query, params };
+}
+
+const CUSTOMER_LIST = {
+  sorts: { nama: 'c.nama', tipe: 'c.tipe', harga: 'harga', created_at: 'c.created_at' },
+  sort: 'nama',
+  order: 'asc',
+  tieBreaker: 'c.id'
+};
+
+// Canonical WhatsApp number for a customer; invalid numbers are rejected with the reason
+function customerPhone(value) {
+  const result = phone.parse(value);
+  if (result.error) throw validationError(result.error);
+  return result.phone;
+}
+
 const customerOps = {
   getAll: (filter = {}) => {
-    let query = 'SELECT * FROM customers WHERE 1=1';
-    const params = [];
-    
-    if (filter.tipe) {
-      query += ' AND tipe = ?';
-      params.push(filter.tipe);
+    const { query, params } = customerQuery(filter);
+    return db.prepare(`${query} ORDER BY c.nama`).all(...params);
+  },
+  
+  // Filtered page with total count, see paginate()
+  getPage: (filter = {}, options = {}) => {
+    const { query, params } = customerQuery(filter);
+    return paginate(query, params, CUSTOMER_LIST, options);
+  },
+  
+  // Every matching row in chunks, see chunked()
+  getChunks: (filter = {}, options = {}, size) => {
+    const { query, params } = customerQuery(filter);
+    return chunked(query, params, CUSTOMER_LIST, options, size);
+  },
+  
+  getById: (id) => {
+    return db.prepare(`
+      SELECT c.*, p.nama as plan_nama, p.profile as plan_profile, COALESCE(c.harga_khusus, p.harga) as harga
+      FROM customers c
+      LEFT JOIN plans p ON c.plan_id = p.id
+      WHERE c.id = ?
+    `).get(id);
+  },
+  
+  // Customer with this WhatsApp number (E.164), or undefined
+  getByPhone: (number) => {
+    if (!number) return undefined;
+    return db.prepare('SELECT * FROM customers WHERE whatsapp = ? ORDER BY aktif DESC, id LIMIT 1').get(number);
+  },
+  
+  // Price billed to a customer: per-customer override, then plan price, then the global setting
+  getPrice: (customer) => {
+    if (customer.tipe === 'gas') {
+      return parseInt(settingsOps.get('price_gas')) || 0;
     }
     
-    if (filter.aktif !== undefined) {
-      query += ' AND aktif = ?';
-      params.push(filter.aktif ? 1 : 0);
+    if (customer.harga_khusus !== null && customer.harga_khusus !== undefined) {
+      return customer.harga_khusus;
     }
     
-    if (filter.search) {
-      query += ' AND (nama LIKE ? OR whatsapp LIKE ?)';
-      params.push(`%${filter.search}%`, `%${filter.search}%`);
+    if (customer.plan_id) {
+      const plan = planOps.getById(customer.plan_id);
+      if (plan) return plan.harga;
     }
     
-    query += ' ORDER BY nama';
-    
-    return db.prepare(query).all(...params);
+    return parseInt(settingsOps.get('price_internet')) || 0;
   },
   
-  getById: (id) => db.prepare('SELECT * FROM customers WHERE id = ?').get(id),
-  
   getWithPending: () => {
     return db.prepare(`
-      SELECT c.*, SUM(t.jumlah) as total_debt
+      SELECT c.*, SUM(t.jumlah - t.terbayar) as total_debt
       FROM customers c
       INNER JOIN transactions t ON c.id = t.customer_id
       WHERE t.status = 'pending' AND c.aktif = 1
@@ -213,30 +736,62 @@ const customerOps = {
   },
   
   create: (data, userId = null) => {
+    const whatsapp = customerPhone(data.whatsapp);
     const stmt = db.prepare(`
-      INSERT INTO customers (nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO customers (nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat, plan_id, harga_khusus, email, channel, channel_fallback, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     const result = stmt.run(
-      data.nama, data.tipe, data.whatsapp, 
+      data.nama, data.tipe, whatsapp, 
       data.username_pppoe || null, data.password_pppoe || null, 
-      data.alamat || null, userId
+      data.alamat || null, data.plan_id || null, toPrice(data.harga_khusus),
+      data.email || null, data.channel || null, data.channel_fallback || null, userId
     );
     
+    if (data.plan_id || toPrice(data.harga_khusus) !== null) {
+      const customer = customerOps.getById(result.lastInsertRowid);
+      planOps.recordChange(customer.id, null, null, customer.plan_id, customerOps.getPrice(customer), userId);
+    }
+    
     if (userId) userOps.logActivity(userId, 'CREATE_CUSTOMER', `Menambah customer: ${data.nama}`);
     
-    return { id: result.lastInsertRowid, ...data };
+    return { id: result.lastInsertRowid, ...data, whatsapp };
   },
   
+  // plan_id and harga_khusus keep their current value when left undefined
   update: (id, data, userId = null) => {
+    const existing = customerOps.getById(id);
+    if (!existing) return null;
+    
+    const whatsapp = customerPhone(data.whatsapp);
+    const planId = data.plan_id !== undefined ? (data.plan_id || null) : existing.plan_id;
+    const hargaKhusus = data.harga_khusus !== undefined ? toPrice(data.harga_khusus) : existing.harga_khusus;
+    // Contact preferences are kept when the form does not send them
+    const keep = (field) => (data[field] !== undefined ? data[field] || null : existing[field]);
+    
     const stmt = db.prepare(`
-      UPDATE customers SET nama = ?, tipe = ?, whatsapp = ?, username_pppoe = ?, password_pppoe = ?, alamat = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      UPDATE customers SET nama = ?, tipe = ?, whatsapp = ?, username_pppoe = ?, password_pppoe = ?, alamat = ?, plan_id = ?, harga_khusus = ?,
+        email = ?, channel = ?, channel_fallback = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
     `);
-    stmt.run(data.nama, data.tipe, data.whatsapp, data.username_pppoe || null, data.password_pppoe || null, data.alamat || null, id);
+    stmt.run(
+      data.nama, data.tipe, whatsapp, data.username_pppoe || null, data.password_pppoe || null, data.alamat || null, planId, hargaKhusus,
+      keep('email'), keep('channel'), keep('channel_fallback'), id
+    );
+    
+    const customer = customerOps.getById(id);
+    const oldPrice = customerOps.getPrice(existing);
+    const newPrice = customerOps.getPrice(customer);
+    if (existing.plan_id !== customer.plan_id || oldPrice !== newPrice) {
+      planOps.recordChange(id, existing.plan_id, oldPrice, customer.plan_id, newPrice, userId);
+    }
     
     if (userId) userOps.logActivity(userId, 'UPDATE_CUSTOMER', `Update customer: ${data.nama}`);
     
-    return customerOps.getById(id);
+    return customer;
+  },
+  
+  setIsolated: (id, isolated) => {
+    db.prepare('UPDATE customers SET terisolir = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(isolated ? 1 : 0, id);
   },
   
   delete: (id, userId = null) => {
@@ -250,56 +805,226 @@ const customerOps = {
   }
 };
 
-// ==================== TRANSACTION OPERATIONS ====================
-const transactionOps = {
+// ==================== PLAN OPERATIONS ====================
+const planOps = {
   getAll: (filter = {}) => {
-    let query = 'SELECT t.*, c.tipe as customer_tipe FROM transactions t LEFT JOIN customers c ON t.customer_id = c.id WHERE 1=1';
+    let query = `
+      SELECT p.*, COUNT(c.id) as jumlah_customer
+      FROM plans p
+      LEFT JOIN customers c ON c.plan_id = p.id
+      WHERE 1=1
+    `;
     const params = [];
     
-    if (filter.status) {
-      query += ' AND t.status = ?';
-      params.push(filter.status);
-    }
-    
-    if (filter.jenis) {
-      query += ' AND t.jenis = ?';
-      params.push(filter.jenis);
-    }
-    
-    if (filter.customer_id) {
-      query += ' AND t.customer_id = ?';
-      params.push(filter.customer_id);
+    if (filter.aktif !== undefined) {
+      query += ' AND p.aktif = ?';
+      params.push(filter.aktif ? 1 : 0);
     }
     
-    query += ' ORDER BY t.created_at DESC';
-    
-    if (filter.limit) {
-      query += ' LIMIT ?';
-      params.push(filter.limit);
-    }
+    query += ' GROUP BY p.id ORDER BY p.harga, p.nama';
     
     return db.prepare(query).all(...params);
   },
   
-  getById: (id) => {
-    return db.prepare('SELECT t.*, c.tipe as customer_tipe FROM transactions t LEFT JOIN customers c ON t.customer_id = c.id WHERE t.id = ?').get(id);
+  getById: (id) => db.prepare('SELECT * FROM plans WHERE id = ?').get(id),
+  
+  create: (data, userId = null) => {
+    const result = db.prepare(`
+      INSERT INTO plans (nama, kecepatan, harga, profile, deskripsi)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(data.nama, data.kecepatan || null, toPrice(data.harga), data.profile || null, data.deskripsi || null);
+    
+    if (userId) userOps.logActivity(userId, 'CREATE_PLAN', `Menambah paket: ${data.nama}`);
+    
+    return planOps.getById(result.lastInsertRowid);
   },
   
-  getPendingByCustomer: (customerId) => {
-    return db.prepare('SELECT * FROM transactions WHERE customer_id = ? AND status = "pending" ORDER BY created_at DESC').all(customerId);
+  update: (id, data, userId = null) => {
+    const plan = planOps.getById(id);
+    if (!plan) return null;
+    
+    db.prepare(`
+      UPDATE plans SET nama = ?, kecepatan = ?, harga = ?, profile = ?, deskripsi = ?, aktif = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(
+      data.nama || plan.nama,
+      data.kecepatan !== undefined ? data.kecepatan || null : plan.kecepatan,
+      data.harga !== undefined ? toPrice(data.harga) : plan.harga,
+      data.profile !== undefined ? data.profile || null : plan.profile,
+      data.deskripsi !== undefined ? data.deskripsi || null : plan.deskripsi,
+      data.aktif !== undefined ? (data.aktif ? 1 : 0) : plan.aktif,
+      id
+    );
+    
+    if (userId) userOps.logActivity(userId, 'UPDATE_PLAN', `Update paket: ${data.nama || plan.nama}`);
+    
+    return planOps.getById(id);
   },
   
-  getStats: () => {
-    const income = db.prepare('SELECT COALESCE(SUM(jumlah), 0) as total FROM transactions WHERE jenis = "pemasukan"').get().total;
-    const expense = db.prepare('SELECT COALESCE(SUM(jumlah), 0) as total FROM transactions WHERE jenis = "pengeluaran"').get().total;
-    const pending = db.prepare('SELECT COALESCE(SUM(jumlah), 0) as total FROM transactions WHERE status = "pending"').get().total;
+  delete: (id, userId = null) => {
+    const plan = planOps.getById(id);
+    if (!plan) return false;
     
-    return { income, expense, pending, balance: income - expense };
+    const used = db.prepare('SELECT COUNT(*) as count FROM customers WHERE plan_id = ?').get(id).count;
+    if (used > 0) {
+      throw validationError(`Paket masih digunakan oleh ${used} customer`);
+    }
+    
+    db.transaction(() => {
+      db.prepare('UPDATE customer_plan_history SET plan_lama_id = NULL WHERE plan_lama_id = ?').run(id);
+      db.prepare('UPDATE customer_plan_history SET plan_baru_id = NULL WHERE plan_baru_id = ?').run(id);
+      db.prepare('DELETE FROM plans WHERE id = ?').run(id);
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'DELETE_PLAN', `Hapus paket: ${plan.nama}`);
+    
+    return true;
   },
   
-  getMonthlyData: () => {
+  recordChange: (customerId, oldPlanId, oldPrice, newPlanId, newPrice, userId = null) => {
+    db.prepare(`
+      INSERT INTO customer_plan_history (customer_id, plan_lama_id, plan_baru_id, harga_lama, harga_baru, changed_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(customerId, oldPlanId || null, newPlanId || null, oldPrice, newPrice, userId);
+  },
+  
+  getHistory: (customerId) => {
     return db.prepare(`
-      SELECT 
+      SELECT h.*, pl.nama as plan_lama_nama, pb.nama as plan_baru_nama, u.username as changed_by_username
+      FROM customer_plan_history h
+      LEFT JOIN plans pl ON h.plan_lama_id = pl.id
+      LEFT JOIN plans pb ON h.plan_baru_id = pb.id
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.customer_id = ?
+      ORDER BY h.created_at DESC, h.id DESC
+    `).all(customerId);
+  }
+};
+
+// ==================== TRANSACTION OPERATIONS ====================
+// Transaction list query without ORDER BY, shared by getAll and getPage
+function transactionQuery(filter) {
+  let query = "SELECT t.*, COALESCE(c.tipe, t.customer_tipe) as customer_tipe, CASE WHEN t.status = 'pending' THEN t.jumlah - t.terbayar ELSE 0 END as sisa FROM transactions t LEFT JOIN customers c ON t.customer_id = c.id WHERE 1=1";
+  const params = [];
+  
+  if (filter.status) {
+    query += ' AND t.status = ?';
+    params.push(filter.status);
+  }
+  
+  if (filter.jenis) {
+    query += ' AND t.jenis = ?';
+    params.push(filter.jenis);
+  }
+  
+  if (filter.kategori) {
+    query += ' AND t.kategori = ?';
+    params.push(filter.kategori);
+  }
+  
+  if (filter.customer_tipe) {
+    query += ' AND COALESCE(c.tipe, t.customer_tipe) = ?';
+    params.push(filter.customer_tipe);
+  }
+  
+  if (filter.customer_id) {
+    query += ' AND t.customer_id = ?';
+    params.push(filter.customer_id);
+  }
+  
+  if (filter.periode) {
+    query += ' AND t.periode = ?';
+    params.push(filter.periode);
+  }
+  
+  if (filter.overdue) {
+    query += " AND t.status = 'pending' AND t.jatuh_tempo < date('now', 'localtime')";
+  }
+  
+  query += dateRangeFilter('t.created_at', filter, params);
+  
+  return { query, params };
+}
+
+const TRANSACTION_LIST = {
+  sorts: {
+    created_at: 't.created_at', jumlah: 't.jumlah', jatuh_tempo: 't.jatuh_tempo',
+    customer_nama: 't.customer_nama', kategori: 't.kategori', status: 't.status'
+  },
+  sort: 'created_at',
+  order: 'desc',
+  tieBreaker: 't.id'
+};
+
+const transactionOps = {
+  getAll: (filter = {}) => {
+    const { query, params } = transactionQuery(filter);
+    let sql = `${query} ORDER BY t.created_at DESC`;
+    
+    if (filter.limit) {
+      sql += ' LIMIT ?';
+      params.push(filter.limit);
+    }
+    
+    return db.prepare(sql).all(...params);
+  },
+  
+  // Filtered page with total count, see paginate()
+  getPage: (filter = {}, options = {}) => {
+    const { query, params } = transactionQuery(filter);
+    return paginate(query, params, TRANSACTION_LIST, options);
+  },
+  
+  // Every matching row in chunks, see chunked()
+  getChunks: (filter = {}, options = {}, size) => {
+    const { query, params } = transactionQuery(filter);
+    return chunked(query, params, TRANSACTION_LIST, options, size);
+  },
+  
+  getById: (id) => {
+    return db.prepare("SELECT t.*, COALESCE(c.tipe, t.customer_tipe) as customer_tipe, CASE WHEN t.status = 'pending' THEN t.jumlah - t.terbayar ELSE 0 END as sisa FROM transactions t LEFT JOIN customers c ON t.customer_id = c.id WHERE t.id = ?").get(id);
+  },
+  
+  getPendingByCustomer: (customerId) => {
+    return db.prepare("SELECT *, jumlah - terbayar as sisa FROM transactions WHERE customer_id = ? AND status = 'pending' ORDER BY created_at DESC").all(customerId);
+  },
+  
+  getStats: () => {
+    const income = db.prepare("SELECT COALESCE(SUM(jumlah), 0) as total FROM transactions WHERE jenis = 'pemasukan'").get().total;
+    const expense = db.prepare("SELECT COALESCE(SUM(jumlah), 0) as total FROM transactions WHERE jenis = 'pengeluaran'").get().total;
+    const pending = db.prepare("SELECT COALESCE(SUM(jumlah - terbayar), 0) as total FROM transactions WHERE status = 'pending'").get().total;
+    
+    return { income, expense, pending, balance: income - expense };
+  },
+  
+  // Pending debt per customer, bucketed by days past due.
+  // Bills without a due date are treated as due on the day they were created.
+  getAging: () => {
+    return db.prepare(`
+      SELECT
+        c.id as customer_id, c.nama, c.tipe, c.whatsapp,
+        SUM(CASE WHEN a.days <= 0 THEN a.jumlah ELSE 0 END) as current,
+        SUM(CASE WHEN a.days BETWEEN 1 AND 30 THEN a.jumlah ELSE 0 END) as days_1_30,
+        SUM(CASE WHEN a.days BETWEEN 31 AND 60 THEN a.jumlah ELSE 0 END) as days_31_60,
+        SUM(CASE WHEN a.days BETWEEN 61 AND 90 THEN a.jumlah ELSE 0 END) as days_61_90,
+        SUM(CASE WHEN a.days > 90 THEN a.jumlah ELSE 0 END) as days_90_plus,
+        SUM(a.jumlah) as total_debt,
+        MAX(a.days) as max_days_overdue
+      FROM (
+        SELECT customer_id, jumlah - terbayar as jumlah,
+          CAST(julianday(date('now', 'localtime')) - julianday(COALESCE(jatuh_tempo, date(created_at))) AS INTEGER) as days
+        FROM transactions
+        WHERE status = 'pending'
+      ) a
+      INNER JOIN customers c ON c.id = a.customer_id
+      GROUP BY c.id
+      HAVING total_debt > 0
+      ORDER BY max_days_overdue DESC, c.nama
+    `).all();
+  },
+  
+  getMonthlyData: () => {
+    return db.prepare(`
+      SELECT 
         strftime('%m', created_at) as month,
         SUM(CASE WHEN jenis = 'pemasukan' THEN jumlah ELSE 0 END) as income,
         SUM(CASE WHEN jenis = 'pengeluaran' THEN jumlah ELSE 0 END) as expense
@@ -312,33 +1037,42 @@ const transactionOps = {
   
   create: (data, userId = null) => {
     const stmt = db.prepare(`
-      INSERT INTO transactions (customer_id, customer_nama, customer_tipe, kategori, jumlah, jenis, status, deskripsi, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO transactions (customer_id, customer_nama, customer_tipe, kategori, jumlah, jenis, status, deskripsi, periode, jatuh_tempo, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
-    const result = stmt.run(
-      data.customer_id, data.customer_nama, data.customer_tipe,
-      data.kategori, data.jumlah, data.jenis,
-      data.status || 'pending', data.deskripsi || null, userId
-    );
+    
+    // Customer bills and sales get their invoice number in the same database transaction.
+    // Payment income rows are written by paymentOps and stay unnumbered.
+    const { id, noInvoice } = db.transaction(() => {
+      const result = stmt.run(
+        data.customer_id, data.customer_nama, data.customer_tipe,
+        data.kategori, data.jumlah, data.jenis,
+        data.status || 'pending', data.deskripsi || null,
+        data.periode || null, data.jatuh_tempo || null, userId
+      );
+      const noInvoice = data.customer_id ? invoiceOps.assign(result.lastInsertRowid) : null;
+      return { id: result.lastInsertRowid, noInvoice };
+    })();
     
     if (userId) userOps.logActivity(userId, 'CREATE_TRANSACTION', `${data.jenis}: ${formatIDR(data.jumlah)} untuk ${data.customer_nama}`);
     
-    return { id: result.lastInsertRowid, ...data };
+    return { id, no_invoice: noInvoice, ...data };
   },
   
+  // Pay the remaining balance of a single bill in full
   markAsLunas: (id, userId = null) => {
     const t = transactionOps.getById(id);
     if (t) {
-      // Update original transaction
-      db.prepare('UPDATE transactions SET status = "lunas", updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+      if (t.status === 'lunas') {
+        throw validationError('Transaksi sudah lunas');
+      }
       
-      // Create income record
-      db.prepare(`
-        INSERT INTO transactions (customer_id, customer_nama, customer_tipe, kategori, jumlah, jenis, status, deskripsi, created_by)
-        VALUES (?, ?, ?, ?, ?, 'pemasukan', 'lunas', 'Pembayaran otomatis', ?)
-      `).run(t.customer_id, t.customer_nama, t.customer_tipe, t.kategori, t.jumlah, userId);
-      
-      if (userId) userOps.logActivity(userId, 'PAYMENT', `Pembayaran: ${formatIDR(t.jumlah)} dari ${t.customer_nama}`);
+      paymentOps.create({
+        customer_id: t.customer_id,
+        jumlah: t.sisa,
+        transaction_ids: [t.id],
+        catatan: 'Pembayaran otomatis'
+      }, userId);
       
       return true;
     }
@@ -348,7 +1082,29 @@ const transactionOps = {
   delete: (id, userId = null) => {
     const t = transactionOps.getById(id);
     if (t) {
-      db.prepare('DELETE FROM transactions WHERE id = ?').run(id);
+      const linked = db.prepare(`
+        SELECT 1 FROM payment_allocations a
+        INNER JOIN payments p ON a.payment_id = p.id
+        WHERE a.transaction_id = ? AND p.status = 'aktif'
+        UNION ALL
+        SELECT 1 FROM payments WHERE income_transaction_id = ?
+      `).get(id, id);
+      if (linked) {
+        throw validationError('Transaksi terkait pembayaran. Batalkan pembayaran terlebih dahulu.');
+      }
+      
+      // The expense of a stock purchase stays, the cylinders are in stock
+      if (db.prepare("SELECT 1 FROM gas_stock_movements WHERE transaction_id = ? AND tipe = 'masuk'").get(id)) {
+        throw validationError('Transaksi adalah pembelian stok gas dan tidak dapat dihapus.');
+      }
+      
+      db.transaction(() => {
+        if (t.no_invoice) invoiceOps.release(t.no_invoice);
+        // A deleted sale puts its cylinders back in stock
+        db.prepare("DELETE FROM gas_stock_movements WHERE transaction_id = ? AND tipe = 'keluar'").run(id);
+        db.prepare('DELETE FROM payment_allocations WHERE transaction_id = ?').run(id);
+        db.prepare('DELETE FROM transactions WHERE id = ?').run(id);
+      })();
       if (userId) userOps.logActivity(userId, 'DELETE_TRANSACTION', `Hapus transaksi: ${formatIDR(t.jumlah)}`);
       return true;
     }
@@ -356,6 +1112,473 @@ const transactionOps = {
   }
 };
 
+// ==================== INVOICE NUMBER OPERATIONS ====================
+const invoiceOps = {
+  // Give a new customer bill the next number of the yearly sequence, e.g. INV/2026/10/0001,
+  // dated from its created_at. Called by transactionOps.create inside its database transaction,
+  // so a rollback never leaves a gap.
+  assign: (transactionId) => {
+    return db.transaction(() => {
+      const existing = db.prepare(`
+        SELECT no_invoice, CAST(strftime('%Y', created_at, 'localtime') AS INTEGER) as year,
+          strftime('%m', created_at, 'localtime') as month
+        FROM transactions WHERE id = ?
+      `).get(transactionId);
+      if (!existing) return null;
+      if (existing.no_invoice) return existing.no_invoice;
+      
+      const { year, month } = existing;
+      
+      db.prepare(`
+        INSERT INTO invoice_sequences (tahun, nomor_terakhir) VALUES (?, 1)
+        ON CONFLICT(tahun) DO UPDATE SET nomor_terakhir = nomor_terakhir + 1
+      `).run(year);
+      const { nomor_terakhir } = db.prepare('SELECT nomor_terakhir FROM invoice_sequences WHERE tahun = ?').get(year);
+      
+      const prefix = settingsOps.get('invoice_prefix') || 'INV';
+      const number = `${prefix}/${year}/${month}/${String(nomor_terakhir).padStart(4, '0')}`;
+      
+      db.prepare('UPDATE transactions SET no_invoice = ? WHERE id = ?').run(number, transactionId);
+      return number;
+    })();
+  },
+  
+  // Give back the number of a deleted bill. Only the latest number of its year can be given
+  // back; deleting any other numbered bill would leave a gap in the sequence.
+  release: (noInvoice) => {
+    const match = /\/(\d{4})\/\d{2}\/(\d+)$/.exec(noInvoice);
+    const year = match ? parseInt(match[1]) : null;
+    const sequence = year && db.prepare('SELECT nomor_terakhir FROM invoice_sequences WHERE tahun = ?').get(year);
+    
+    if (!sequence || sequence.nomor_terakhir !== parseInt(match[2])) {
+      throw validationError(`Invoice ${noInvoice} bukan nomor terakhir dan tidak dapat dihapus agar nomor invoice tidak berlubang`);
+    }
+    db.prepare('UPDATE invoice_sequences SET nomor_terakhir = nomor_terakhir - 1 WHERE tahun = ?').run(year);
+  },
+  
+  // Payments allocated to a transaction, for receipts
+  getPayments: (transactionId) => {
+    return db.prepare(`
+      SELECT p.id, p.metode, p.referensi, p.created_at, a.jumlah
+      FROM payment_allocations a
+      INNER JOIN payments p ON a.payment_id = p.id
+      WHERE a.transaction_id = ? AND p.status = 'aktif'
+      ORDER BY p.created_at, p.id
+    `).all(transactionId);
+  }
+};
+
+// ==================== PAYMENT OPERATIONS ====================
+const paymentOps = {
+  getAll: (filter = {}) => {
+    let query = `
+      SELECT p.*, c.nama as customer_nama, u.username as created_by_username
+      FROM payments p
+      LEFT JOIN customers c ON p.customer_id = c.id
+      LEFT JOIN users u ON p.created_by = u.id
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    if (filter.customer_id) {
+      query += ' AND p.customer_id = ?';
+      params.push(filter.customer_id);
+    }
+    
+    if (filter.status) {
+      query += ' AND p.status = ?';
+      params.push(filter.status);
+    }
+    
+    query += ' ORDER BY p.created_at DESC, p.id DESC';
+    
+    if (filter.limit) {
+      query += ' LIMIT ?';
+      params.push(filter.limit);
+    }
+    
+    return db.prepare(query).all(...params);
+  },
+  
+  getById: (id) => {
+    const payment = db.prepare(`
+      SELECT p.*, c.nama as customer_nama
+      FROM payments p
+      LEFT JOIN customers c ON p.customer_id = c.id
+      WHERE p.id = ?
+    `).get(id);
+    if (!payment) return null;
+    
+    payment.allocations = db.prepare(`
+      SELECT a.transaction_id, a.jumlah, t.kategori, t.periode, t.jumlah as tagihan, t.terbayar, t.status
+      FROM payment_allocations a
+      LEFT JOIN transactions t ON a.transaction_id = t.id
+      WHERE a.payment_id = ?
+      ORDER BY a.id
+    `).all(id);
+    return payment;
+  },
+  
+  // Record a payment and allocate it against pending bills, oldest first.
+  // data.transaction_ids limits the allocation to specific bills.
+  create: (data, userId = null) => {
+    const jumlah = parseInt(data.jumlah);
+    if (!jumlah || jumlah <= 0) {
+      throw validationError('Jumlah pembayaran tidak valid');
+    }
+    
+    const customer = customerOps.getById(data.customer_id);
+    if (!customer) {
+      throw validationError('Customer tidak ditemukan');
+    }
+    
+    let bills = db.prepare(`
+      SELECT * FROM transactions
+      WHERE customer_id = ? AND status = 'pending' AND jumlah > terbayar
+      ORDER BY COALESCE(jatuh_tempo, date(created_at)), id
+    `).all(customer.id);
+    
+    if (data.transaction_ids && data.transaction_ids.length) {
+      const ids = data.transaction_ids.map(Number);
+      bills = bills.filter(b => ids.includes(b.id));
+    }
+    
+    const outstanding = bills.reduce((sum, b) => sum + b.jumlah - b.terbayar, 0);
+    if (bills.length === 0) {
+      throw validationError('Tidak ada tagihan pending untuk dibayar');
+    }
+    if (jumlah > outstanding) {
+      throw validationError(`Jumlah pembayaran melebihi sisa tagihan (${formatIDR(outstanding)})`);
+    }
+    
+    const metode = data.metode || 'tunai';
+    
+    const paymentId = db.transaction(() => {
+      const income = db.prepare(`
+        INSERT INTO transactions (customer_id, customer_nama, customer_tipe, kategori, jumlah, jenis, status, deskripsi, created_by)
+        VALUES (?, ?, ?, ?, ?, 'pemasukan', 'lunas', ?, ?)
+      `).run(customer.id, customer.nama, customer.tipe, bills[0].kategori, jumlah, data.catatan || `Pembayaran ${metode}`, userId);
+      
+      const payment = db.prepare(`
+        INSERT INTO payments (customer_id, jumlah, metode, referensi, catatan, income_transaction_id, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(customer.id, jumlah, metode, data.referensi || null, data.catatan || null, income.lastInsertRowid, userId);
+      
+      let remaining = jumlah;
+      for (const bill of bills) {
+        if (remaining <= 0) break;
+        
+        const amount = Math.min(remaining, bill.jumlah - bill.terbayar);
+        db.prepare('INSERT INTO payment_allocations (payment_id, transaction_id, jumlah) VALUES (?, ?, ?)')
+          .run(payment.lastInsertRowid, bill.id, amount);
+        db.prepare(`
+          UPDATE transactions
+          SET terbayar = terbayar + ?, status = CASE WHEN terbayar + ? >= jumlah THEN 'lunas' ELSE 'pending' END, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(amount, amount, bill.id);
+        remaining -= amount;
+      }
+      
+      return payment.lastInsertRowid;
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'PAYMENT', `Pembayaran: ${formatIDR(jumlah)} dari ${customer.nama} (${metode})`);
+    
+    return paymentOps.getById(paymentId);
+  },
+  
+  // Undo a payment: restore the allocated bills and remove its income record
+  reverse: (id, userId = null, alasan = '') => {
+    const payment = paymentOps.getById(id);
+    if (!payment) return null;
+    
+    if (payment.status === 'dibatalkan') {
+      throw validationError('Pembayaran sudah dibatalkan');
+    }
+    
+    db.transaction(() => {
+      for (const allocation of payment.allocations) {
+        db.prepare(`
+          UPDATE transactions
+          SET terbayar = MAX(terbayar - ?, 0), status = 'pending', updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(allocation.jumlah, allocation.transaction_id);
+      }
+      
+      db.prepare(`
+        UPDATE payments
+        SET status = 'dibatalkan', alasan_batal = ?, income_transaction_id = NULL, reversed_by = ?, reversed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(alasan || null, userId, id);
+      
+      if (payment.income_transaction_id) {
+        db.prepare('DELETE FROM transactions WHERE id = ?').run(payment.income_transaction_id);
+      }
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'REVERSE_PAYMENT', `Batal pembayaran: ${formatIDR(payment.jumlah)} dari ${payment.customer_nama}`);
+    
+    return paymentOps.getById(id);
+  }
+};
+
+// ==================== GAS INVENTORY OPERATIONS ====================
+const inventoryOps = {
+  // Current number of full and empty cylinders on hand
+  getStock: () => {
+    const stock = db.prepare(`
+      SELECT COALESCE(SUM(qty_isi), 0) as isi, COALESCE(SUM(qty_kosong), 0) as kosong
+      FROM gas_stock_movements
+    `).get();
+    return { ...stock, minimum: parseInt(settingsOps.get('gas_stock_min')) || 0 };
+  },
+  
+  isLow: () => {
+    const stock = inventoryOps.getStock();
+    return stock.isi <= stock.minimum;
+  },
+  
+  getMovements: (filter = {}) => {
+    let query = `
+      SELECT m.*, c.nama as customer_nama, u.username as created_by_username
+      FROM gas_stock_movements m
+      LEFT JOIN customers c ON m.customer_id = c.id
+      LEFT JOIN users u ON m.created_by = u.id
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    if (filter.tipe) {
+      query += ' AND m.tipe = ?';
+      params.push(filter.tipe);
+    }
+    
+    query += ' ORDER BY m.created_at DESC, m.id DESC';
+    
+    if (filter.limit) {
+      query += ' LIMIT ?';
+      params.push(filter.limit);
+    }
+    
+    return db.prepare(query).all(...params);
+  },
+  
+  // Purchase from the supplier; the cost is recorded as a paid pengeluaran
+  stockIn: (data, userId = null) => {
+    const qty = parseInt(data.qty);
+    const hargaSatuan = parseInt(data.harga_satuan) || 0;
+    const kosong = parseInt(data.kosong_diserahkan) || 0;
+    
+    if (!qty || qty <= 0) throw validationError('Jumlah tabung tidak valid');
+    if (hargaSatuan < 0 || kosong < 0) throw validationError('Data stok tidak valid');
+    
+    const supplier = data.supplier || 'Supplier';
+    
+    const movementId = db.transaction(() => {
+      let transactionId = null;
+      if (hargaSatuan > 0) {
+        const expense = transactionOps.create({
+          customer_id: null,
+          customer_nama: supplier,
+          customer_tipe: 'gas',
+          kategori: 'stok_gas',
+          jumlah: qty * hargaSatuan,
+          jenis: 'pengeluaran',
+          status: 'lunas',
+          deskripsi: `Pembelian ${qty} tabung gas dari ${supplier}`
+        }, userId);
+        transactionId = expense.id;
+      }
+      
+      return db.prepare(`
+        INSERT INTO gas_stock_movements (tipe, qty_isi, qty_kosong, harga_satuan, supplier, transaction_id, keterangan, created_by)
+        VALUES ('masuk', ?, ?, ?, ?, ?, ?, ?)
+      `).run(qty, -kosong, hargaSatuan, supplier, transactionId, data.keterangan || null, userId).lastInsertRowid;
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'GAS_STOCK_IN', `Stok masuk: ${qty} tabung dari ${supplier} (${formatIDR(qty * hargaSatuan)})`);
+    
+    return db.prepare('SELECT * FROM gas_stock_movements WHERE id = ?').get(movementId);
+  },
+  
+  // Record a gas sale and take its cylinders out of stock in one database transaction
+  createSale: (data, qty, userId = null) => {
+    if (!Number.isInteger(qty) || qty <= 0) throw validationError('Jumlah tabung tidak valid');
+    
+    return db.transaction(() => {
+      const transaction = transactionOps.create(data, userId);
+      db.prepare(`
+        INSERT INTO gas_stock_movements (tipe, qty_isi, customer_id, transaction_id, keterangan, created_by)
+        VALUES ('keluar', ?, ?, ?, ?, ?)
+      `).run(-qty, transaction.customer_id || null, transaction.id, `Penjualan ke ${transaction.customer_nama}`, userId);
+      return transaction;
+    })();
+  },
+  
+  // Empty cylinders handed back by customers
+  recordReturn: (data, userId = null) => {
+    const qty = parseInt(data.qty);
+    if (!qty || qty <= 0) throw validationError('Jumlah tabung tidak valid');
+    
+    const result = db.prepare(`
+      INSERT INTO gas_stock_movements (tipe, qty_kosong, customer_id, keterangan, created_by)
+      VALUES ('kembali_kosong', ?, ?, ?, ?)
+    `).run(qty, data.customer_id || null, data.keterangan || null, userId);
+    
+    if (userId) userOps.logActivity(userId, 'GAS_EMPTY_RETURN', `Tabung kosong kembali: ${qty} tabung`);
+    
+    return db.prepare('SELECT * FROM gas_stock_movements WHERE id = ?').get(result.lastInsertRowid);
+  },
+  
+  // Movements within [from, to] with running totals, starting from the balance before `from`
+  getStockCard: (from, to) => {
+    const opening = db.prepare(`
+      SELECT COALESCE(SUM(qty_isi), 0) as isi, COALESCE(SUM(qty_kosong), 0) as kosong
+      FROM gas_stock_movements
+      WHERE date(created_at, 'localtime') < ?
+    `).get(from);
+    
+    const movements = db.prepare(`
+      SELECT m.*, c.nama as customer_nama
+      FROM gas_stock_movements m
+      LEFT JOIN customers c ON m.customer_id = c.id
+      WHERE date(m.created_at, 'localtime') BETWEEN ? AND ?
+      ORDER BY m.created_at, m.id
+    `).all(from, to);
+    
+    let isi = opening.isi;
+    let kosong = opening.kosong;
+    const rows = movements.map(m => {
+      isi += m.qty_isi;
+      kosong += m.qty_kosong;
+      return { ...m, saldo_isi: isi, saldo_kosong: kosong };
+    });
+    
+    return { from, to, opening, movements: rows, closing: { isi, kosong } };
+  }
+};
+
+// ==================== REPORT OPERATIONS ====================
+// Period label of a local date expression. Weeks run Monday to Sunday and are named
+// after their Monday, so a week across New Year stays in one bucket.
+const REPORT_PERIODS = {
+  day: date => `strftime('%Y-%m-%d', ${date})`,
+  week: date => `date(${date}, 'weekday 0', '-6 days')`,
+  month: date => `strftime('%Y-%m', ${date})`,
+  year: date => `strftime('%Y', ${date})`
+};
+
+const REPORT_GROUPS = {
+  kategori: 't.kategori',
+  customer_tipe: "COALESCE(c.tipe, t.customer_tipe, '-')",
+  staff: "COALESCE(u.username, '-')"
+};
+
+function withRatios(row) {
+  return {
+    ...row,
+    net: row.income - row.expense,
+    outstanding: row.billed - row.collected,
+    collection_rate: row.billed ? Math.round(row.collected / row.billed * 1000) / 10 : null
+  };
+}
+
+function sumRows(rows) {
+  const totals = { income: 0, expense: 0, billed: 0, collected: 0 };
+  rows.forEach(row => Object.keys(totals).forEach(key => { totals[key] += row[key]; }));
+  return withRatios(totals);
+}
+
+const reportOps = {
+  // Income and expense per period (and group) between two dates, inclusive.
+  // Income and expense follow the dashboard: every pemasukan and pengeluaran.
+  // Billed is what customers were charged in the range, collected how much of
+  // those same bills has been paid so far.
+  // `shift` moves the buckets, e.g. '+1 year' lays last year onto this year's periods.
+  getFinancial: ({ from, to, period = 'month', group_by = null, shift = null }) => {
+    const groupSql = group_by ? REPORT_GROUPS[group_by] : 'NULL';
+    const bucket = REPORT_PERIODS[period](shift ? "datetime(t.created_at, 'localtime', ?)" : "datetime(t.created_at, 'localtime')");
+    const params = shift ? [shift] : [];
+    
+    const rows = db.prepare(`
+      SELECT
+        ${bucket} as periode,
+        ${groupSql} as grup,
+        COALESCE(SUM(CASE WHEN t.jenis = 'pemasukan' THEN t.jumlah ELSE 0 END), 0) as income,
+        COALESCE(SUM(CASE WHEN t.jenis = 'pengeluaran' THEN t.jumlah ELSE 0 END), 0) as expense,
+        COALESCE(SUM(CASE WHEN t.jenis = 'pengeluaran' AND t.customer_id IS NOT NULL THEN t.jumlah ELSE 0 END), 0) as billed,
+        COALESCE(SUM(CASE WHEN t.jenis = 'pengeluaran' AND t.customer_id IS NOT NULL
+          THEN CASE WHEN t.status = 'lunas' THEN t.jumlah ELSE t.terbayar END ELSE 0 END), 0) as collected
+      FROM transactions t
+      LEFT JOIN customers c ON t.customer_id = c.id
+      LEFT JOIN users u ON t.created_by = u.id
+      WHERE date(t.created_at, 'localtime') BETWEEN ? AND ?
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `).all(...params, from, to);
+    
+    return rows.map(row => {
+      const result = withRatios(row);
+      if (!group_by) delete result.grup;
+      return result;
+    });
+  },
+  
+  // Financial report with totals, optionally next to the same range one year earlier
+  getFinancialReport: ({ from, to, period = 'month', group_by = null, compare = false }) => {
+    if (!Object.prototype.hasOwnProperty.call(REPORT_PERIODS, period)) {
+      throw validationError(`Periode harus salah satu dari: ${Object.keys(REPORT_PERIODS).join(', ')}`);
+    }
+    if (group_by && !Object.prototype.hasOwnProperty.call(REPORT_GROUPS, group_by)) {
+      throw validationError(`Pengelompokan harus salah satu dari: ${Object.keys(REPORT_GROUPS).join(', ')}`);
+    }
+    for (const [value, label] of [[from, 'from'], [to, 'to']]) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+        throw validationError(`Format tanggal ${label} tidak valid (YYYY-MM-DD)`);
+      }
+    }
+    if (from > to) {
+      throw validationError('Tanggal from harus sebelum tanggal to');
+    }
+    
+    const rows = reportOps.getFinancial({ from, to, period, group_by });
+    const report = { from, to, period, group_by, rows, totals: sumRows(rows) };
+    if (!compare) return report;
+    
+    const previousRange = db.prepare("SELECT date(?, '-1 year') as from_date, date(?, '-1 year') as to_date").get(from, to);
+    const previousRows = reportOps.getFinancial({ from: previousRange.from_date, to: previousRange.to_date, period, group_by, shift: '+1 year' });
+    
+    // Line up last year's figures with this year's rows; periods only present last year are added with zeros
+    const keyOf = row => `${row.periode}|${row.grup}`;
+    const previousByKey = new Map(previousRows.map(row => [keyOf(row), row]));
+    const empty = withRatios({ income: 0, expense: 0, billed: 0, collected: 0 });
+    
+    const merged = rows.map(row => ({ ...row, previous: previousByKey.get(keyOf(row)) || empty }));
+    const currentKeys = new Set(rows.map(keyOf));
+    previousRows.filter(row => !currentKeys.has(keyOf(row))).forEach(row => {
+      merged.push({ periode: row.periode, ...(group_by ? { grup: row.grup } : {}), ...empty, previous: row });
+    });
+    merged.sort((a, b) => (keyOf(a) < keyOf(b) ? -1 : 1));
+    merged.forEach(row => { delete row.previous.periode; delete row.previous.grup; });
+    
+    const previousTotals = sumRows(previousRows);
+    const change = {};
+    for (const key of ['income', 'expense', 'net', 'billed', 'collected']) {
+      const amount = report.totals[key] - previousTotals[key];
+      change[key] = {
+        amount,
+        percent: previousTotals[key] ? Math.round(amount / Math.abs(previousTotals[key]) * 1000) / 10 : null
+      };
+    }
+    
+    return {
+      ...report,
+      rows: merged,
+      comparison: { from: previousRange.from_date, to: previousRange.to_date, totals: previousTotals, change }
+    };
+  }
+};
+
 // ==================== SETTINGS OPERATIONS ====================
 const settingsOps = {
   get: (key) => {
@@ -380,47 +1603,467 @@ const settingsOps = {
 };
 
 // ==================== MESSAGE LOG OPERATIONS ====================
+const MESSAGE_LOG_LIST = {
+  sorts: { sent_at: 'm.sent_at', status: 'm.status', customer_nama: 'm.customer_nama', message_type: 'm.message_type' },
+  sort: 'sent_at',
+  order: 'desc',
+  tieBreaker: 'm.id'
+};
+
+// Message log query without ORDER BY, shared by getPage and getChunks
+function messageLogQuery(filter) {
+  let query = `
+    SELECT m.*, u.username as sent_by_username, c.tipe as customer_tipe
+    FROM message_logs m
+    LEFT JOIN users u ON m.sent_by = u.id
+    LEFT JOIN customers c ON m.customer_id = c.id
+    WHERE 1=1
+  `;
+  const params = [];
+  
+  for (const column of ['status', 'message_type', 'channel', 'customer_id']) {
+    if (filter[column]) {
+      query += ` AND m.${column} = ?`;
+      params.push(filter[column]);
+    }
+  }
+  
+  if (filter.customer_tipe) {
+    query += ' AND c.tipe = ?';
+    params.push(filter.customer_tipe);
+  }
+  
+  query += dateRangeFilter('m.sent_at', filter, params);
+  
+  return { query, params };
+}
+
 const messageOps = {
   create: (data) => {
     const stmt = db.prepare(`
-      INSERT INTO message_logs (customer_id, customer_nama, phone, message_type, status, message_preview, error_message, sent_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO message_logs (customer_id, customer_nama, phone, message_type, channel, status, message_preview, error_message, sent_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
       data.customer_id || null, data.customer_nama || null, data.phone,
-      data.message_type, data.status, data.message_preview || null,
+      data.message_type, data.channel || 'whatsapp', data.status, data.message_preview || null,
       data.error_message || null, data.sent_by || null
     );
   },
   
-  getRecent: (limit = 50) => {
-    return db.prepare(`
-      SELECT m.*, u.username as sent_by_username
-      FROM message_logs m
-      LEFT JOIN users u ON m.sent_by = u.id
-      ORDER BY m.sent_at DESC
-      LIMIT ?
-    `).all(limit);
+  // Filtered page with total count, see paginate()
+  getPage: (filter = {}, options = {}) => {
+    const { query, params } = messageLogQuery(filter);
+    return paginate(query, params, MESSAGE_LOG_LIST, options);
+  },
+  
+  // Every matching log row in chunks, see chunked()
+  getChunks: (filter = {}, options = {}, size) => {
+    const { query, params } = messageLogQuery(filter);
+    return chunked(query, params, MESSAGE_LOG_LIST, options, size);
   },
   
   getStats: () => {
     const total = db.prepare('SELECT COUNT(*) as count FROM message_logs').get().count;
-    const success = db.prepare('SELECT COUNT(*) as count FROM message_logs WHERE status = "success"').get().count;
-    const failed = db.prepare('SELECT COUNT(*) as count FROM message_logs WHERE status = "failed"').get().count;
+    const success = db.prepare("SELECT COUNT(*) as count FROM message_logs WHERE status = 'success'").get().count;
+    const failed = db.prepare("SELECT COUNT(*) as count FROM message_logs WHERE status = 'failed'").get().count;
     return { total, success, failed };
   }
 };
 
-// Helper function
-function formatIDR(num) {
-  return new Intl.NumberFormat('id-ID', { style: 'currency', currency: 'IDR', minimumFractionDigits: 0 }).format(num);
+// ==================== BILLING RUN OPERATIONS ====================
+const billingOps = {
+  getRuns: (limit = 50) => {
+    return db.prepare(`
+      SELECT b.*, u.username as run_by_username
+      FROM billing_runs b
+      LEFT JOIN users u ON b.run_by = u.id
+      ORDER BY b.created_at DESC, b.id DESC
+      LIMIT ?
+    `).all(limit);
+  },
+  
+  hasScheduledRun: (periode) => {
+    return !!db.prepare("SELECT id FROM billing_runs WHERE periode = ? AND source = 'scheduled'").get(periode);
+  },
+  
+  hasInvoice: (periode, customerId) => {
+    return !!db.prepare('SELECT id FROM billing_invoices WHERE periode = ? AND customer_id = ?').get(periode, customerId);
+  },
+  
+  createRun: (periode, source, userId = null) => {
+    const result = db.prepare('INSERT INTO billing_runs (periode, source, run_by) VALUES (?, ?, ?)').run(periode, source, userId);
+    return result.lastInsertRowid;
+  },
+  
+  finishRun: (runId, summary) => {
+    db.prepare('UPDATE billing_runs SET created_count = ?, skipped_count = ?, total_amount = ? WHERE id = ?')
+      .run(summary.created, summary.skipped, summary.amount, runId);
+  },
+  
+  recordInvoice: (periode, customerId, transactionId, runId) => {
+    db.prepare('INSERT INTO billing_invoices (periode, customer_id, transaction_id, run_id) VALUES (?, ?, ?, ?)')
+      .run(periode, customerId, transactionId, runId);
+  }
+};
+
+// ==================== REMINDER OPERATIONS ====================
+const reminderOps = {
+  getRules: () => db.prepare('SELECT * FROM reminder_rules ORDER BY offset_hari, id').all(),
+  
+  getActiveRules: () => db.prepare('SELECT * FROM reminder_rules WHERE aktif = 1 ORDER BY offset_hari, id').all(),
+  
+  getRule: (id) => db.prepare('SELECT * FROM reminder_rules WHERE id = ?').get(id),
+  
+  createRule: (data, userId = null) => {
+    const result = db.prepare('INSERT INTO reminder_rules (nama, offset_hari, template, aktif) VALUES (?, ?, ?, ?)')
+      .run(data.nama, parseInt(data.offset_hari), data.template, data.aktif === undefined || data.aktif ? 1 : 0);
+    
+    if (userId) userOps.logActivity(userId, 'CREATE_REMINDER_RULE', `Menambah aturan pengingat: ${data.nama}`);
+    
+    return reminderOps.getRule(result.lastInsertRowid);
+  },
+  
+  updateRule: (id, data, userId = null) => {
+    const rule = reminderOps.getRule(id);
+    if (!rule) return null;
+    
+    db.prepare(`
+      UPDATE reminder_rules SET nama = ?, offset_hari = ?, template = ?, aktif = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(
+      data.nama || rule.nama,
+      data.offset_hari !== undefined ? parseInt(data.offset_hari) : rule.offset_hari,
+      data.template || rule.template,
+      data.aktif !== undefined ? (data.aktif ? 1 : 0) : rule.aktif,
+      id
+    );
+    
+    if (userId) userOps.logActivity(userId, 'UPDATE_REMINDER_RULE', `Update aturan pengingat: ${data.nama || rule.nama}`);
+    
+    return reminderOps.getRule(id);
+  },
+  
+  deleteRule: (id, userId = null) => {
+    const rule = reminderOps.getRule(id);
+    if (!rule) return false;
+    
+    db.prepare('DELETE FROM reminder_rules WHERE id = ?').run(id);
+    if (userId) userOps.logActivity(userId, 'DELETE_REMINDER_RULE', `Hapus aturan pengingat: ${rule.nama}`);
+    return true;
+  },
+  
+  // First day the scheduler ran the rule, whatever the outcome
+  getFirstRunDate: (ruleId) => {
+    const row = db.prepare(`
+      SELECT MIN(run_date) as run_date FROM reminder_runs
+      WHERE rule_id = ? AND source = 'scheduled'
+    `).get(ruleId);
+    return row.run_date;
+  },
+  
+  // Days from `since` on which a scheduled run of the rule completed
+  getCompletedRunDates: (ruleId, since) => {
+    return db.prepare(`
+      SELECT DISTINCT run_date FROM reminder_runs
+      WHERE rule_id = ? AND source = 'scheduled' AND status = 'completed' AND run_date >= ?
+    `).all(ruleId, since).map(row => row.run_date);
+  },
+  
+  // Pending bills whose reminder day for this rule is `date` and that the rule has not reminded yet
+  getDueBills: (rule, date) => {
+    return db.prepare(`
+      SELECT t.*, t.jumlah - t.terbayar as sisa
+      FROM transactions t
+      INNER JOIN customers c ON t.customer_id = c.id
+      WHERE t.status = 'pending' AND t.jumlah > t.terbayar AND t.jatuh_tempo IS NOT NULL AND c.aktif = 1
+        AND date(t.jatuh_tempo, ? || ' days') = ?
+        AND NOT EXISTS (
+          SELECT 1 FROM reminder_logs l
+          WHERE l.rule_id = ? AND l.transaction_id = t.id AND l.status = 'success'
+        )
+      ORDER BY t.customer_nama, t.id
+    `).all(rule.offset_hari >= 0 ? `+${rule.offset_hari}` : String(rule.offset_hari), date, rule.id);
+  },
+  
+  createRun: (ruleId, date, source = 'scheduled') => {
+    return db.prepare('INSERT INTO reminder_runs (rule_id, run_date, source) VALUES (?, ?, ?)').run(ruleId, date, source).lastInsertRowid;
+  },
+  
+  finishRun: (runId, summary, status = 'completed', errorMessage = null) => {
+    db.prepare(`
+      UPDATE reminder_runs SET status = ?, total = ?, sent = ?, failed = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(status, summary.total, summary.sent, summary.failed, errorMessage, runId);
+  },
+  
+  // Runs interrupted by a shutdown are marked failed so their day is retried
+  failInterruptedRuns: () => {
+    db.prepare(`
+      UPDATE reminder_runs SET status = 'failed', error_message = 'Dihentikan karena server restart', finished_at = CURRENT_TIMESTAMP
+      WHERE status = 'running'
+    `).run();
+  },
+  
+  logReminder: (data) => {
+    db.prepare(`
+      INSERT INTO reminder_logs (rule_id, run_id, transaction_id, customer_id, status, error_message)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(data.rule_id, data.run_id, data.transaction_id, data.customer_id, data.status, data.error_message || null);
+  },
+  
+  getRuns: (filter = {}) => {
+    let query = `
+      SELECT r.*, rr.nama as rule_nama
+      FROM reminder_runs r
+      LEFT JOIN reminder_rules rr ON r.rule_id = rr.id
+      WHERE 1=1
+    `;
+    const params = [];
+    
+    if (filter.rule_id) {
+      query += ' AND r.rule_id = ?';
+      params.push(filter.rule_id);
+    }
+    
+    query += ' ORDER BY r.started_at DESC, r.id DESC LIMIT ?';
+    params.push(filter.limit || 50);
+    
+    return db.prepare(query).all(...params);
+  },
+  
+  getRun: (id) => {
+    const run = db.prepare(`
+      SELECT r.*, rr.nama as rule_nama
+      FROM reminder_runs r
+      LEFT JOIN reminder_rules rr ON r.rule_id = rr.id
+      WHERE r.id = ?
+    `).get(id);
+    if (!run) return null;
+    
+    run.results = db.prepare(`
+      SELECT l.*, c.nama as customer_nama, t.no_invoice, t.periode
+      FROM reminder_logs l
+      LEFT JOIN customers c ON l.customer_id = c.id
+      LEFT JOIN transactions t ON l.transaction_id = t.id
+      WHERE l.run_id = ?
+      ORDER BY l.id
+    `).all(id);
+    return run;
+  }
+};
+
+// ==================== TEMPLATE OPERATIONS ====================
+const templateOps = {
+  getAll: (filter = {}) => {
+    let query = 'SELECT * FROM message_templates WHERE 1=1';
+    const params = [];
+    
+    if (filter.tipe) {
+      query += ' AND (tipe = ? OR tipe IS NULL)';
+      params.push(filter.tipe);
+    }
+    
+    query += ' ORDER BY tipe, is_default DESC, nama';
+    return db.prepare(query).all(...params);
+  },
+  
+  getById: (id) => db.prepare('SELECT * FROM message_templates WHERE id = ?').get(id),
+  
+  // Default for a customer type, falling back to a default that applies to all types
+  getDefault: (tipe) => {
+    return db.prepare(`
+      SELECT * FROM message_templates
+      WHERE is_default = 1 AND (tipe = ? OR tipe IS NULL)
+      ORDER BY tipe IS NULL, id
+      LIMIT 1
+    `).get(tipe);
+  },
+  
+  // Only one default per customer type
+  clearDefault: (tipe, exceptId) => {
+    db.prepare('UPDATE message_templates SET is_default = 0 WHERE tipe IS ? AND id != ?').run(tipe, exceptId);
+  },
+  
+  isNameTaken: (nama, exceptId = 0) => {
+    return !!db.prepare('SELECT id FROM message_templates WHERE nama = ? AND id != ?').get(nama, exceptId);
+  },
+  
+  create: (data, userId = null) => {
+    if (templateOps.isNameTaken(data.nama)) {
+      throw validationError('Nama template sudah digunakan');
+    }
+    
+    const tipe = data.tipe || null;
+    const id = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO message_templates (nama, tipe, isi, is_default, created_by) VALUES (?, ?, ?, ?, ?)
+      `).run(data.nama, tipe, data.isi, data.is_default ? 1 : 0, userId);
+      
+      db.prepare('INSERT INTO message_template_versions (template_id, versi, isi, changed_by) VALUES (?, 1, ?, ?)')
+        .run(result.lastInsertRowid, data.isi, userId);
+      if (data.is_default) templateOps.clearDefault(tipe, result.lastInsertRowid);
+      
+      return result.lastInsertRowid;
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'CREATE_TEMPLATE', `Menambah template: ${data.nama}`);
+    
+    return templateOps.getById(id);
+  },
+  
+  // Saving a different text creates a new version
+  update: (id, data, userId = null) => {
+    const template = templateOps.getById(id);
+    if (!template) return null;
+    
+    if (data.nama && templateOps.isNameTaken(data.nama, template.id)) {
+      throw validationError('Nama template sudah digunakan');
+    }
+    
+    const tipe = data.tipe !== undefined ? (data.tipe || null) : template.tipe;
+    const isDefault = data.is_default !== undefined ? (data.is_default ? 1 : 0) : template.is_default;
+    const isi = data.isi || template.isi;
+    const versi = isi !== template.isi ? template.versi + 1 : template.versi;
+    
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE message_templates SET nama = ?, tipe = ?, isi = ?, is_default = ?, versi = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(data.nama || template.nama, tipe, isi, isDefault, versi, id);
+      
+      if (versi !== template.versi) {
+        db.prepare('INSERT INTO message_template_versions (template_id, versi, isi, changed_by) VALUES (?, ?, ?, ?)')
+          .run(id, versi, isi, userId);
+      }
+      if (isDefault) templateOps.clearDefault(tipe, id);
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'UPDATE_TEMPLATE', `Update template: ${data.nama || template.nama} (versi ${versi})`);
+    
+    return templateOps.getById(id);
+  },
+  
+  delete: (id, userId = null) => {
+    const template = templateOps.getById(id);
+    if (!template) return false;
+    
+    db.prepare('DELETE FROM message_templates WHERE id = ?').run(id);
+    if (userId) userOps.logActivity(userId, 'DELETE_TEMPLATE', `Hapus template: ${template.nama}`);
+    return true;
+  },
+  
+  getVersions: (id) => {
+    return db.prepare(`
+      SELECT v.*, u.username as changed_by_username
+      FROM message_template_versions v
+      LEFT JOIN users u ON v.changed_by = u.id
+      WHERE v.template_id = ?
+      ORDER BY v.versi DESC
+    `).all(id);
+  },
+  
+  // Restoring an old version saves its text as a new version
+  restoreVersion: (id, versi, userId = null) => {
+    const version = db.prepare('SELECT * FROM message_template_versions WHERE template_id = ? AND versi = ?').get(id, versi);
+    if (!version) return null;
+    return templateOps.update(id, { isi: version.isi }, userId);
+  }
+};
+
+// ==================== BROADCAST OPERATIONS ====================
+const broadcastOps = {
+  // Job with progress counters derived from its recipients
+  getById: (id) => {
+    return db.prepare(`
+      SELECT j.*, u.username as created_by_username,
+        COUNT(r.id) as total,
+        COALESCE(SUM(CASE WHEN r.status = 'success' THEN 1 ELSE 0 END), 0) as sent,
+        COALESCE(SUM(CASE WHEN r.status = 'failed' THEN 1 ELSE 0 END), 0) as failed,
+        COALESCE(SUM(CASE WHEN r.status = 'pending' THEN 1 ELSE 0 END), 0) as pending
+      FROM broadcast_jobs j
+      LEFT JOIN broadcast_recipients r ON r.job_id = j.id
+      LEFT JOIN users u ON j.created_by = u.id
+      WHERE j.id = ?
+      GROUP BY j.id
+    `).get(id);
+  },
+  
+  getAll: (limit = 50) => {
+    const ids = db.prepare('SELECT id FROM broadcast_jobs ORDER BY id DESC LIMIT ?').all(limit);
+    return ids.map(row => broadcastOps.getById(row.id));
+  },
+  
+  getRecipients: (jobId) => {
+    return db.prepare('SELECT * FROM broadcast_recipients WHERE job_id = ? ORDER BY id').all(jobId);
+  },
+  
+  create: (template, recipients, userId = null) => {
+    const jobId = db.transaction(() => {
+      const id = db.prepare('INSERT INTO broadcast_jobs (template, created_by) VALUES (?, ?)').run(template, userId).lastInsertRowid;
+      const insert = db.prepare('INSERT INTO broadcast_recipients (job_id, customer_id, customer_nama, jumlah, template) VALUES (?, ?, ?, ?, ?)');
+      for (const recipient of recipients) {
+        insert.run(id, recipient.id, recipient.nama, recipient.total_debt, recipient.template || null);
+      }
+      return id;
+    })();
+    
+    if (userId) userOps.logActivity(userId, 'CREATE_BROADCAST', `Broadcast ke ${recipients.length} pelanggan`);
+    
+    return broadcastOps.getById(jobId);
+  },
+  
+  setStatus: (id, status, errorMessage = null) => {
+    db.prepare(`
+      UPDATE broadcast_jobs SET status = ?, error_message = ?,
+        started_at = CASE WHEN ? = 'running' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+        finished_at = CASE WHEN ? IN ('cancelled', 'completed') THEN CURRENT_TIMESTAMP ELSE NULL END
+      WHERE id = ?
+    `).run(status, errorMessage, status, status, id);
+  },
+  
+  // Oldest job that still has to be worked on
+  getNextJob: () => {
+    return db.prepare(`SELECT * FROM broadcast_jobs WHERE status IN ('queued', 'running') ORDER BY id LIMIT 1`).get();
+  },
+  
+  getNextRecipient: (jobId) => {
+    return db.prepare(`SELECT * FROM broadcast_recipients WHERE job_id = ? AND status = 'pending' ORDER BY id LIMIT 1`).get(jobId);
+  },
+  
+  recordResult: (recipientId, status, errorMessage = null) => {
+    db.prepare(`
+      UPDATE broadcast_recipients SET status = ?, error_message = ?, sent_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(status, errorMessage, recipientId);
+  }
+};
+
+// Optional price input: empty means "not set"
+function toPrice(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const price = parseInt(value);
+  if (isNaN(price) || price < 0) {
+    throw validationError('Harga tidak valid');
+  }
+  return price;
 }
 
 module.exports = {
   db,
+  validationError,
   userOps,
+  twoFactorOps,
+  loginFailureOps,
+  sessionOps,
+  roleOps,
   customerOps,
   transactionOps,
   settingsOps,
-  messageOps
+  messageOps,
+  billingOps,
+  paymentOps,
+  planOps,
+  inventoryOps,
+  invoiceOps,
+  reportOps,
+  reminderOps,
+  broadcastOps,
+  templateOps
 };
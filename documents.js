@@ -0,0 +1,210 @@
+const PDFDocument = require('pdfkit');
+const { customerOps, transactionOps, settingsOps, invoiceOps, validationError } = require('./database');
+const { formatIDR, formatDate } = require('./format');
+
+const TITLES = {
+  invoice: 'INVOICE',
+  receipt: 'KWITANSI PEMBAYARAN'
+};
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function describe(t) {
+  if (t.deskripsi) return t.deskripsi;
+  const label = t.kategori === 'internet' ? 'Layanan Internet' : t.kategori === 'gas' ? 'Gas LPG 3kg' : t.kategori;
+  return t.periode ? `${label} periode ${t.periode}` : label;
+}
+
+// Collect everything an invoice or receipt shows for a transaction.
+// Returns null when the transaction does not exist.
+function buildDocument(type, transactionId) {
+  const t = transactionOps.getById(transactionId);
+  if (!t) return null;
+
+  let payments = invoiceOps.getPayments(t.id);
+  if (payments.length === 0 && t.jenis === 'pemasukan' && t.status === 'lunas') {
+    // Cash sales are paid when they are recorded
+    payments = [{ id: null, metode: 'tunai', referensi: null, created_at: t.created_at, jumlah: t.jumlah }];
+  }
+
+  const terbayar = payments.reduce((sum, p) => sum + p.jumlah, 0);
+  if (type === 'receipt' && terbayar === 0) {
+    throw validationError('Belum ada pembayaran untuk transaksi ini');
+  }
+
+  const customer = t.customer_id ? customerOps.getById(t.customer_id) : null;
+
+  return {
+    type,
+    title: TITLES[type],
+    // Bills are numbered when created; other transactions are referred to by id
+    number: t.no_invoice || `TRX-${t.id}`,
+    date: type === 'receipt' ? payments[payments.length - 1].created_at : t.created_at,
+    business: {
+      name: settingsOps.get('app_name') || '',
+      address: settingsOps.get('business_address') || ''
+    },
+    customer: {
+      nama: customer ? customer.nama : t.customer_nama,
+      alamat: customer ? customer.alamat : null,
+      whatsapp: customer ? customer.whatsapp : null
+    },
+    item: describe(t),
+    total: t.jumlah,
+    terbayar,
+    sisa: Math.max(t.jumlah - terbayar, 0),
+    lunas: t.status === 'lunas',
+    jatuh_tempo: t.jatuh_tempo,
+    payments
+  };
+}
+
+function getFilename(doc, extension) {
+  return `${doc.type === 'receipt' ? 'KWITANSI' : 'INVOICE'}-${doc.number.replace(/[^A-Za-z0-9]+/g, '-')}.${extension}`;
+}
+
+function renderHtml(doc) {
+  const paymentRows = doc.payments.map(p => `
+        <tr>
+          <td>${escapeHtml(formatDate(p.created_at))}</td>
+          <td>${escapeHtml(p.metode)}${p.referensi ? ` (${escapeHtml(p.referensi)})` : ''}</td>
+          <td class="num">${escapeHtml(formatIDR(p.jumlah))}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(doc.title)} ${escapeHtml(doc.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #1e293b; max-width: 720px; margin: 32px auto; padding: 0 16px; }
+    header { display: flex; justify-content: space-between; border-bottom: 2px solid #1e293b; padding-bottom: 12px; }
+    h1 { margin: 0; font-size: 22px; }
+    h2 { margin: 0; font-size: 18px; text-align: right; }
+    .muted { color: #64748b; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+    th, td { padding: 8px; border-bottom: 1px solid #e2e8f0; text-align: left; font-size: 14px; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; }
+    .status { margin-top: 20px; font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHtml(doc.business.name)}</h1>
+      <div class="muted">${escapeHtml(doc.business.address)}</div>
+    </div>
+    <div>
+      <h2>${escapeHtml(doc.title)}</h2>
+      <div class="muted">No: ${escapeHtml(doc.number)}</div>
+      <div class="muted">Tanggal: ${escapeHtml(formatDate(doc.date))}</div>
+      ${doc.type === 'invoice' && doc.jatuh_tempo ? `<div class="muted">Jatuh tempo: ${escapeHtml(formatDate(doc.jatuh_tempo))}</div>` : ''}
+    </div>
+  </header>
+
+  <p>
+    <strong>${doc.type === 'receipt' ? 'Telah diterima dari' : 'Kepada'}:</strong><br>
+    ${escapeHtml(doc.customer.nama)}<br>
+    ${doc.customer.alamat ? `${escapeHtml(doc.customer.alamat)}<br>` : ''}
+    ${doc.customer.whatsapp ? escapeHtml(doc.customer.whatsapp) : ''}
+  </p>
+
+  <table>
+    <thead><tr><th>Keterangan</th><th class="num">Jumlah</th></tr></thead>
+    <tbody>
+      <tr><td>${escapeHtml(doc.item)}</td><td class="num">${escapeHtml(formatIDR(doc.total))}</td></tr>
+      <tr><td class="num">Terbayar</td><td class="num">${escapeHtml(formatIDR(doc.terbayar))}</td></tr>
+      <tr class="total"><td class="num">Sisa Tagihan</td><td class="num">${escapeHtml(formatIDR(doc.sisa))}</td></tr>
+    </tbody>
+  </table>
+
+  ${doc.payments.length ? `
+  <table>
+    <thead><tr><th>Tanggal Bayar</th><th>Metode</th><th class="num">Jumlah</th></tr></thead>
+    <tbody>${paymentRows}
+    </tbody>
+  </table>` : ''}
+
+  <div class="status">Status: ${doc.lunas ? 'LUNAS' : 'BELUM LUNAS'}</div>
+</body>
+</html>
+`;
+}
+
+function renderPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A5', margin: 36 });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const width = pdf.page.width - 72;
+    const row = (label, value, bold = false) => {
+      const y = pdf.y;
+      pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+      pdf.text(label, 36, y, { width: width * 0.65 });
+      pdf.text(value, 36 + width * 0.65, y, { width: width * 0.35, align: 'right' });
+      pdf.moveDown(0.4);
+    };
+
+    pdf.font('Helvetica-Bold').fontSize(16).text(doc.business.name);
+    pdf.font('Helvetica').fontSize(9).fillColor('#64748b').text(doc.business.address).fillColor('black');
+    pdf.moveDown();
+
+    pdf.font('Helvetica-Bold').fontSize(13).text(doc.title);
+    pdf.font('Helvetica').fontSize(10)
+      .text(`No: ${doc.number}`)
+      .text(`Tanggal: ${formatDate(doc.date)}`);
+    if (doc.type === 'invoice' && doc.jatuh_tempo) {
+      pdf.text(`Jatuh tempo: ${formatDate(doc.jatuh_tempo)}`);
+    }
+    pdf.moveDown();
+
+    pdf.font('Helvetica-Bold').text(doc.type === 'receipt' ? 'Telah diterima dari:' : 'Kepada:');
+    pdf.font('Helvetica').text(doc.customer.nama);
+    if (doc.customer.alamat) pdf.text(doc.customer.alamat);
+    if (doc.customer.whatsapp) pdf.text(doc.customer.whatsapp);
+    pdf.moveDown();
+
+    row(doc.item, formatIDR(doc.total));
+    row('Terbayar', formatIDR(doc.terbayar));
+    row('Sisa Tagihan', formatIDR(doc.sisa), true);
+    pdf.moveDown();
+
+    if (doc.payments.length) {
+      pdf.font('Helvetica-Bold').fontSize(10).text('Riwayat Pembayaran');
+      pdf.moveDown(0.3);
+      doc.payments.forEach(p => {
+        row(`${formatDate(p.created_at)} - ${p.metode}${p.referensi ? ` (${p.referensi})` : ''}`, formatIDR(p.jumlah));
+      });
+      pdf.moveDown();
+    }
+
+    pdf.font('Helvetica-Bold').fontSize(12).text(`Status: ${doc.lunas ? 'LUNAS' : 'BELUM LUNAS'}`);
+    pdf.end();
+  });
+}
+
+// Render an invoice or receipt as { filename, contentType, content }
+async function render(type, transactionId, format = 'html') {
+  const doc = buildDocument(type, transactionId);
+  if (!doc) return null;
+
+  if (format === 'pdf') {
+    return { filename: getFilename(doc, 'pdf'), contentType: 'application/pdf', content: await renderPdf(doc), doc };
+  }
+  return { filename: getFilename(doc, 'html'), contentType: 'text/html; charset=utf-8', content: renderHtml(doc), doc };
+}
+
+module.exports = {
+  render
+};
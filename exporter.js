@@ -0,0 +1,283 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { customerOps, transactionOps, messageOps, userOps } = require('./database');
+const csv = require('./csv');
+const phone = require('./phone');
+const { formatIDR, toDateString, toDateTimeString } = require('./format');
+
+// Rows are read in pages of this size so a large export is never held in memory at once
+const EXPORT_CHUNK = 500;
+
+const PPPOE_FORMATS = {
+  mikrotik: { filename: 'pppoe-secrets.rsc', contentType: 'text/plain; charset=utf-8' },
+  freeradius: { filename: 'users', contentType: 'text/plain; charset=utf-8' },
+  csv: { filename: 'pppoe-secrets.csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+// RouterOS script string: escape backslash, quote, variable and help characters
+function rosQuote(value) {
+  const text = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\$/g, '\\$')
+    .replace(/\?/g, '\\?')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+  return `"${text}"`;
+}
+
+// FreeRADIUS users file string
+function radiusQuote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/[\r\n]/g, ' ')}"`;
+}
+
+// Usernames only need quoting when they contain whitespace or special characters
+function radiusName(name) {
+  return /^[A-Za-z0-9._@-]+$/.test(name) ? name : radiusQuote(name);
+}
+
+// Collect internet customers with PPPoE credentials and resolve profile and disabled state.
+// options: { activeOnly, usePlanProfile, profile, disableDebtors }
+function getPppoeAccounts(options = {}) {
+  const filter = { tipe: 'internet' };
+  if (options.activeOnly) filter.aktif = true;
+
+  const debtors = options.disableDebtors
+    ? new Set(customerOps.getWithPending().map(c => c.id))
+    : new Set();
+  const defaultProfile = options.profile || 'default';
+
+  return customerOps.getAll(filter)
+    .filter(c => c.username_pppoe && c.password_pppoe)
+    .map(c => ({
+      customer_id: c.id,
+      nama: c.nama,
+      whatsapp: c.whatsapp,
+      username: c.username_pppoe,
+      password: c.password_pppoe,
+      profile: (options.usePlanProfile && c.plan_profile) || defaultProfile,
+      disabled: !c.aktif || !!c.terisolir || debtors.has(c.id),
+      comment: `billing:${c.id} ${c.nama}`
+    }));
+}
+
+function renderMikrotik(accounts) {
+  const lines = [
+    `# PPPoE secrets exported ${new Date().toISOString()}`,
+    '/ppp secret'
+  ];
+  accounts.forEach(a => {
+    lines.push(`add name=${rosQuote(a.username)} password=${rosQuote(a.password)} service=pppoe profile=${rosQuote(a.profile)} disabled=${a.disabled ? 'yes' : 'no'} comment=${rosQuote(a.comment)}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+function renderFreeradius(accounts) {
+  const blocks = accounts.map(a => {
+    const check = [`Cleartext-Password := ${radiusQuote(a.password)}`];
+    if (a.disabled) check.push('Auth-Type := Reject');
+
+    const reply = [
+      'Service-Type = Framed-User',
+      'Framed-Protocol = PPP',
+      `Mikrotik-Group = ${radiusQuote(a.profile)}`
+    ];
+    if (a.disabled) reply.push(`Reply-Message = ${radiusQuote('Akun diisolir, silakan lunasi tagihan')}`);
+
+    return `# ${a.comment.replace(/[\r\n]/g, ' ')}\n${radiusName(a.username)} ${check.join(', ')}\n\t${reply.join(',\n\t')}`;
+  });
+  return `# PPPoE users exported ${new Date().toISOString()}\n\n` + blocks.join('\n\n') + '\n';
+}
+
+function renderCsv(accounts) {
+  return csv.toCsv(accounts, [
+    { key: 'username', label: 'username' },
+    { key: 'password', label: 'password' },
+    { key: 'profile', label: 'profile' },
+    { key: () => 'pppoe', label: 'service' },
+    { key: a => (a.disabled ? 'yes' : 'no'), label: 'disabled' },
+    { key: 'customer_id', label: 'customer_id' },
+    { key: 'nama', label: 'nama' },
+    { key: 'whatsapp', label: 'whatsapp' }
+  ]);
+}
+
+// Render PPPoE accounts as a RouterOS script, FreeRADIUS users file or CSV
+function exportPppoe(format, options = {}) {
+  const accounts = getPppoeAccounts(options);
+  const renderers = { mikrotik: renderMikrotik, freeradius: renderFreeradius, csv: renderCsv };
+
+  return {
+    ...PPPOE_FORMATS[format],
+    count: accounts.length,
+    content: renderers[format](accounts)
+  };
+}
+
+const DATA_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Amount as a number for calculations plus a readable IDR column next to it
+function amountColumns(key, label) {
+  return [
+    { key, label, width: 14 },
+    { key: row => (row[key] === null || row[key] === undefined ? null : formatIDR(row[key])), label: `${label} (IDR)`, width: 18 }
+  ];
+}
+
+// Timestamp column in the server's local time; the database keeps UTC
+function timeColumn(key, label) {
+  return { key: row => toDateTimeString(row[key]), label, width: 20 };
+}
+
+// Exportable lists: activity log label, sheet columns and the pages to write
+const DATA_EXPORTS = {
+  transactions: {
+    label: 'transaksi',
+    columns: [
+      { key: 'id', label: 'ID', width: 8 },
+      { key: 'no_invoice', label: 'No Invoice', width: 20 },
+      timeColumn('created_at', 'Tanggal'),
+      { key: 'customer_nama', label: 'Pelanggan', width: 24 },
+      { key: 'customer_tipe', label: 'Tipe' },
+      { key: 'kategori', label: 'Kategori' },
+      { key: 'jenis', label: 'Jenis' },
+      { key: 'status', label: 'Status' },
+      ...amountColumns('jumlah', 'Jumlah'),
+      ...amountColumns('terbayar', 'Terbayar'),
+      ...amountColumns('sisa', 'Sisa'),
+      { key: 'periode', label: 'Periode' },
+      { key: 'jatuh_tempo', label: 'Jatuh Tempo' },
+      { key: 'deskripsi', label: 'Deskripsi', width: 30 }
+    ],
+    pages: (filter, options) => transactionOps.getChunks(filter, options, EXPORT_CHUNK)
+  },
+  customers: {
+    label: 'pelanggan',
+    columns: [
+      { key: 'id', label: 'ID', width: 8 },
+      { key: 'nama', label: 'Nama', width: 24 },
+      { key: 'tipe', label: 'Tipe' },
+      { key: 'whatsapp', label: 'WhatsApp', width: 16 },
+      { key: 'email', label: 'Email', width: 24 },
+      { key: 'alamat', label: 'Alamat', width: 30 },
+      { key: 'plan_nama', label: 'Paket', width: 16 },
+      ...amountColumns('harga', 'Harga'),
+      { key: 'username_pppoe', label: 'Username PPPoE', width: 16 },
+      { key: row => (row.aktif ? 'ya' : 'tidak'), label: 'Aktif' },
+      { key: row => (row.terisolir ? 'ya' : 'tidak'), label: 'Terisolir' },
+      timeColumn('created_at', 'Terdaftar')
+    ],
+    pages: (filter, options) => customerOps.getChunks(filter, options, EXPORT_CHUNK)
+  },
+  debtors: {
+    label: 'pelanggan menunggak',
+    columns: [
+      { key: 'customer_id', label: 'ID', width: 8 },
+      { key: 'nama', label: 'Nama', width: 24 },
+      { key: 'tipe', label: 'Tipe' },
+      { key: 'whatsapp', label: 'WhatsApp', width: 16 },
+      ...amountColumns('current', 'Belum Jatuh Tempo'),
+      ...amountColumns('days_1_30', '1-30 Hari'),
+      ...amountColumns('days_31_60', '31-60 Hari'),
+      ...amountColumns('days_61_90', '61-90 Hari'),
+      ...amountColumns('days_90_plus', '>90 Hari'),
+      ...amountColumns('total_debt', 'Total Tunggakan'),
+      { key: 'max_days_overdue', label: 'Hari Terlambat' }
+    ],
+    // The aging report is one row per customer, small enough to read at once
+    pages: function* (filter) {
+      const search = (filter.search || '').toLowerCase();
+      const digits = phone.searchDigits(search);
+      yield transactionOps.getAging().filter(row => (!filter.tipe || row.tipe === filter.tipe)
+        && (!search || row.nama.toLowerCase().includes(search) || (row.whatsapp || '').includes(digits || search)));
+    }
+  },
+  'message-logs': {
+    label: 'log pesan',
+    columns: [
+      { key: 'id', label: 'ID', width: 8 },
+      timeColumn('sent_at', 'Waktu'),
+      { key: 'customer_nama', label: 'Pelanggan', width: 24 },
+      { key: 'phone', label: 'Tujuan', width: 24 },
+      { key: 'channel', label: 'Channel' },
+      { key: 'message_type', label: 'Tipe Pesan' },
+      { key: 'status', label: 'Status' },
+      { key: 'error_message', label: 'Error', width: 30 },
+      { key: 'sent_by_username', label: 'Dikirim Oleh' },
+      { key: 'message_preview', label: 'Pesan', width: 50 }
+    ],
+    pages: (filter, options) => messageOps.getChunks(filter, options, EXPORT_CHUNK)
+  },
+  'activity-logs': {
+    label: 'log aktivitas',
+    columns: [
+      { key: 'id', label: 'ID', width: 8 },
+      timeColumn('created_at', 'Waktu'),
+      { key: 'username', label: 'User' },
+      { key: 'action', label: 'Aksi', width: 20 },
+      { key: 'details', label: 'Detail', width: 50 },
+      { key: 'ip_address', label: 'IP' }
+    ],
+    pages: (filter, options) => userOps.getActivityChunks(filter, options, EXPORT_CHUNK)
+  }
+};
+
+// Spreadsheet apps run text starting with these as a formula; prefix it so it stays text.
+// Plain numbers such as +628... phone numbers cannot run anything and are left alone.
+function csvSafe(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) && !/^[+-]\d+$/.test(value) ? `'${value}` : value;
+}
+
+// Stream a list as CSV or XLSX into `res`. The first page is read before any
+// header is sent, so invalid filters still end up as a normal error response.
+async function streamData(type, format, filter, options, res) {
+  const definition = DATA_EXPORTS[type];
+  const { extension, contentType } = DATA_FORMATS[format];
+  const filename = `${type}-${toDateString(new Date())}.${extension}`;
+  const values = row => definition.columns.map(col => (typeof col.key === 'function' ? col.key(row) : row[col.key]));
+
+  const pages = definition.pages(filter, options);
+  let page = pages.next();
+  let count = 0;
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    res.write(csv.formatRow(definition.columns.map(col => col.label)));
+    for (; !page.done; page = pages.next()) {
+      count += page.value.length;
+      const chunk = page.value.map(row => csv.formatRow(values(row).map(csvSafe))).join('');
+      if (!res.write(chunk)) await once(res, 'drain');
+    }
+    res.end();
+  } else {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(definition.label);
+    sheet.columns = definition.columns.map(col => ({ header: col.label, width: col.width || 12 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for (; !page.done; page = pages.next()) {
+      count += page.value.length;
+      page.value.forEach(row => sheet.addRow(values(row)).commit());
+      // Let the zip stream flush before reading the next page
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    sheet.commit();
+    await workbook.commit();
+  }
+
+  return { count, filename };
+}
+
+module.exports = {
+  PPPOE_FORMATS,
+  DATA_FORMATS,
+  DATA_EXPORTS,
+  exportPppoe,
+  streamData
+};
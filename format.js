@@ -0,0 +1,48 @@
+// Display formatting shared by messages, documents and exports: Indonesian locale,
+// amounts in IDR and dates in the server's local time.
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatIDR(num) {
+  return new Intl.NumberFormat('id-ID', { style: 'currency', currency: 'IDR', minimumFractionDigits: 0 }).format(num || 0);
+}
+
+// A YYYY-MM-DD value is a local calendar day; SQLite CURRENT_TIMESTAMP values
+// are UTC without a zone marker
+function parseDate(value) {
+  return value.length === 10 ? new Date(`${value}T00:00:00`) : new Date(value.replace(' ', 'T') + 'Z');
+}
+
+// "19 Oktober 2026", or "19 Okt 2026" with month 'short'
+function formatDate(value, month = 'long') {
+  if (!value) return '-';
+  return parseDate(value).toLocaleDateString('id-ID', { day: 'numeric', month, year: 'numeric' });
+}
+
+// Local calendar date as YYYY-MM-DD
+function toDateString(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Local "YYYY-MM-DD HH:MM:SS" of a timestamp, sortable in spreadsheets
+function toDateTimeString(value) {
+  if (!value) return null;
+  const date = parseDate(value);
+  return `${toDateString(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// "2026-10" -> "Oktober 2026"; defaults to the current month
+function formatPeriod(periode) {
+  const date = periode ? new Date(`${periode}-01T00:00:00`) : new Date();
+  return date.toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
+}
+
+module.exports = {
+  formatIDR,
+  formatDate,
+  formatPeriod,
+  toDateString,
+  toDateTimeString
+};
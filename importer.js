@@ -0,0 +1,234 @@
+const { db, customerOps, planOps, userOps, validationError } = require('./database');
+const notifier = require('./notifier');
+const phone = require('./phone');
+const csv = require('./csv');
+
+const MAX_IMPORT_ROWS = 5000;
+const CUSTOMER_TYPES = ['internet', 'gas'];
+
+// Customer fields a CSV column can be mapped to. Headers are matched against
+// the field name and its aliases, which include the headers of the customer export.
+// The export has no PPPoE password, so internet customers still need that column.
+const IMPORT_FIELDS = {
+  nama: ['nama', 'name', 'nama pelanggan', 'pelanggan'],
+  tipe: ['tipe', 'type', 'jenis'],
+  whatsapp: ['whatsapp', 'wa', 'no wa', 'no hp', 'hp', 'telepon', 'phone'],
+  username_pppoe: ['username pppoe', 'username', 'user pppoe', 'pppoe'],
+  password_pppoe: ['password pppoe', 'password', 'pass pppoe'],
+  alamat: ['alamat', 'address'],
+  paket: ['paket', 'plan', 'plan id', 'plan nama'],
+  harga_khusus: ['harga khusus'],
+  email: ['email', 'e-mail'],
+  channel: ['channel'],
+  channel_fallback: ['channel fallback']
+};
+
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s_]+/g, ' ');
+}
+
+// Field -> column index. An explicit mapping ({ field: 'CSV header' }) wins over the aliases.
+function resolveMapping(headers, mapping = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS[field]) {
+      throw validationError(`Kolom tujuan tidak dikenal: ${field}`);
+    }
+    if (header === null || header === '') continue;
+    const index = normalized.indexOf(normalizeHeader(header));
+    if (index === -1) {
+      throw validationError(`Kolom "${header}" tidak ada di CSV`);
+    }
+    columns[field] = index;
+  }
+
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    if (field in columns || field in mapping) continue;
+    const names = [field.replace(/_/g, ' '), ...aliases];
+    const index = normalized.findIndex(h => names.includes(h));
+    if (index !== -1 && !Object.values(columns).includes(index)) {
+      columns[field] = index;
+    }
+  }
+
+  for (const field of ['nama', 'tipe', 'whatsapp']) {
+    if (!(field in columns)) {
+      throw validationError(`Kolom ${field} tidak ditemukan, atur lewat mapping`);
+    }
+  }
+  return columns;
+}
+
+// Plan by id or by name (case-insensitive)
+function findPlan(plans, value) {
+  const text = value.toLowerCase();
+  return plans.find(p => String(p.id) === value || p.nama.toLowerCase() === text) || null;
+}
+
+// Check one mapped row. Returns the customer data and the problems found;
+// duplicates are checked separately against the database and earlier rows.
+function validateRow(values, plans) {
+  const errors = [];
+  const data = {
+    nama: values.nama,
+    tipe: (values.tipe || '').toLowerCase(),
+    whatsapp: values.whatsapp,
+    username_pppoe: values.username_pppoe || null,
+    password_pppoe: values.password_pppoe || null,
+    alamat: values.alamat || null,
+    plan_id: null,
+    harga_khusus: null,
+    email: values.email || null,
+    channel: values.channel ? values.channel.toLowerCase() : null,
+    channel_fallback: values.channel_fallback ? values.channel_fallback.toLowerCase() : null
+  };
+
+  if (!data.nama) errors.push('Nama kosong');
+
+  if (!CUSTOMER_TYPES.includes(data.tipe)) {
+    errors.push(values.tipe ? `Tipe "${values.tipe}" tidak valid (internet/gas)` : 'Tipe kosong');
+  }
+
+  const number = phone.parse(values.whatsapp);
+  if (number.error) {
+    errors.push(number.error);
+  } else {
+    data.whatsapp = number.phone;
+  }
+
+  if (data.tipe === 'internet') {
+    if (!data.username_pppoe) errors.push('Username PPPoE wajib untuk customer internet');
+    if (!data.password_pppoe) errors.push('Password PPPoE wajib untuk customer internet');
+  }
+  if (data.username_pppoe && /\s/.test(data.username_pppoe)) {
+    errors.push('Username PPPoE tidak boleh mengandung spasi');
+  }
+
+  if (values.paket) {
+    const plan = findPlan(plans, values.paket);
+    if (plan) {
+      data.plan_id = plan.id;
+    } else {
+      errors.push(`Paket "${values.paket}" tidak ditemukan`);
+    }
+  }
+
+  if (values.harga_khusus) {
+    // "Rp 120.000" -> 120000; the dot is the thousands separator
+    const digits = values.harga_khusus.replace(/[^\d,-]/g, '').replace(',', '.');
+    const harga = Number(digits);
+    if (!digits || !Number.isFinite(harga) || harga < 0) {
+      errors.push(`Harga khusus "${values.harga_khusus}" tidak valid`);
+    } else {
+      data.harga_khusus = Math.round(harga);
+    }
+  }
+
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    errors.push(`Email "${data.email}" tidak valid`);
+  }
+
+  [data.channel, data.channel_fallback].forEach(channel => {
+    if (channel && !notifier.CHANNELS.includes(channel)) {
+      errors.push(`Channel "${channel}" tidak valid`);
+    }
+  });
+
+  return { data, errors };
+}
+
+// Import customers from CSV text. Every row is validated and checked for duplicates
+// by WhatsApp number and PPPoE username, against existing customers and earlier rows.
+// Rows are only created when all of them are valid, in one transaction;
+// with dryRun nothing is written and the row-by-row preview is returned.
+function importCustomers(text, { mapping = {}, dryRun = false, userId = null } = {}) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw validationError('Isi CSV kosong');
+  }
+
+  let rows;
+  try {
+    rows = csv.parseCsv(text);
+  } catch (error) {
+    throw validationError(`CSV tidak bisa dibaca: ${error.message}`);
+  }
+
+  const [headers, ...records] = rows;
+  if (!headers || records.length === 0) {
+    throw validationError('CSV tidak berisi data');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw validationError(`Maksimal ${MAX_IMPORT_ROWS} baris per import`);
+  }
+
+  const columns = resolveMapping(headers, mapping);
+  const plans = planOps.getAll();
+
+  const byPhone = new Map();
+  const byUsername = new Map();
+  customerOps.getAll().forEach(c => {
+    if (c.whatsapp) byPhone.set(phone.normalize(c.whatsapp) || c.whatsapp, `customer #${c.id} (${c.nama})`);
+    if (c.username_pppoe) byUsername.set(c.username_pppoe, `customer #${c.id} (${c.nama})`);
+  });
+
+  const report = {
+    dry_run: !!dryRun,
+    total: records.length,
+    valid: 0,
+    invalid: 0,
+    duplicates: 0,
+    created: 0,
+    mapping: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+    rows: []
+  };
+
+  records.forEach((record, i) => {
+    // Numbered like the spreadsheet, with the header as row 1
+    const row = i + 2;
+    const values = {};
+    for (const [field, index] of Object.entries(columns)) {
+      values[field] = (record[index] || '').trim();
+    }
+
+    const { data, errors } = validateRow(values, plans);
+
+    const duplicates = [];
+    const number = phone.normalize(data.whatsapp);
+    if (number && byPhone.has(number)) {
+      duplicates.push(`Nomor WhatsApp sudah dipakai ${byPhone.get(number)}`);
+    }
+    if (data.username_pppoe && byUsername.has(data.username_pppoe)) {
+      duplicates.push(`Username PPPoE sudah dipakai ${byUsername.get(data.username_pppoe)}`);
+    }
+    if (number && !byPhone.has(number)) byPhone.set(number, `baris ${row}`);
+    if (data.username_pppoe && !byUsername.has(data.username_pppoe)) byUsername.set(data.username_pppoe, `baris ${row}`);
+
+    const status = errors.length ? 'invalid' : duplicates.length ? 'duplicate' : 'valid';
+    report[status === 'duplicate' ? 'duplicates' : status]++;
+    report.rows.push({ row, status, errors: [...errors, ...duplicates], data });
+  });
+
+  if (dryRun || report.valid < report.total) {
+    return report;
+  }
+
+  db.transaction(() => {
+    report.rows.forEach(row => {
+      row.customer_id = customerOps.create(row.data, userId).id;
+    });
+  })();
+  report.created = report.rows.length;
+
+  if (userId) {
+    userOps.logActivity(userId, 'IMPORT_CUSTOMERS', `Import ${report.created} customer dari CSV`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  importCustomers
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// 001-initial-schema.js -> version 1
+const FILE_PATTERN = /^(\d+)-[\w-]+\.js$/;
+
+// Migration files in version order: { version, file, name, up(db) }
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const { name, up } = require(path.join(MIGRATIONS_DIR, file));
+      return { version: parseInt(FILE_PATTERN.exec(file)[1]), file, name: name || file, up };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[i - 1].file}, ${migration.file}`);
+    }
+  });
+  return migrations;
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+function getAppliedVersions(db) {
+  const exists = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  if (!exists) return [];
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+// Applied and pending migrations, plus versions recorded in the database that no file knows about
+function getStatus(db) {
+  const migrations = loadMigrations();
+  const applied = getAppliedVersions(db);
+  const appliedAt = new Map(applied.map(m => [m.version, m.applied_at]));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    migrations: migrations.map(m => ({ version: m.version, name: m.name, applied_at: appliedAt.get(m.version) || null })),
+    unknown: applied.filter(m => !known.has(m.version))
+  };
+}
+
+// Apply pending migrations in order, each in its own transaction.
+// Foreign keys are switched off while migrating so tables can be rebuilt,
+// and checked before every commit instead.
+// Throws when the database was migrated by a newer version of the code.
+function runMigrations(db) {
+  ensureMigrationsTable(db);
+  const status = getStatus(db);
+
+  if (status.unknown.length > 0 || status.current > status.latest) {
+    throw new Error(
+      `Database schema version ${status.current} is newer than this application (latest migration ${status.latest}). ` +
+      'Update the application before starting it on this database.'
+    );
+  }
+
+  const pending = loadMigrations().filter(m => !status.migrations.find(s => s.version === m.version).applied_at);
+  if (pending.length === 0) return [];
+
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    for (const migration of pending) {
+      db.transaction(() => {
+        migration.up(db);
+
+        const violations = db.pragma('foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`Migration ${migration.file} left ${violations.length} broken references (table ${violations[0].table})`);
+        }
+        db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      })();
+      console.log(`✅ Migration ${migration.file} applied`);
+    }
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+
+  return pending.map(m => m.version);
+}
+
+// Command line: `node migrate.js status` lists migrations, `node migrate.js` applies pending ones
+if (require.main === module) {
+  const Database = require('better-sqlite3');
+  const dbPath = process.env.DB_PATH || path.join(__dirname, 'billing.db');
+  const command = process.argv[2] || 'up';
+
+  try {
+    if (command === 'status') {
+      if (!fs.existsSync(dbPath)) {
+        console.log(`No database at ${dbPath}; all migrations are pending.`);
+      }
+      const db = fs.existsSync(dbPath) ? new Database(dbPath, { readonly: true }) : new Database(':memory:');
+      const status = getStatus(db);
+
+      console.log(`Schema version ${status.current}, latest ${status.latest}\n`);
+      status.migrations.forEach(m => {
+        console.log(`${(m.applied_at ? `applied ${m.applied_at}` : 'pending').padEnd(27)}  ${String(m.version).padStart(3, '0')}  ${m.name}`);
+      });
+      status.unknown.forEach(m => {
+        console.log(`unknown ${m.applied_at}  ${String(m.version).padStart(3, '0')}  ${m.name} (no migration file, database is newer than the code)`);
+      });
+    } else if (command === 'up') {
+      const applied = runMigrations(new Database(dbPath));
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else {
+      console.log('Usage: node migrate.js [up|status]');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  runMigrations,
+  getStatus
+};
@@ -0,0 +1,308 @@
+// Schema as it stood when migrations were introduced. Tables are created only
+// when missing, so databases from before then keep their data and are brought
+// up to date by the migrations that follow.
+module.exports = {
+  name: 'Initial schema',
+  up(db) {
+    db.exec(`
+    -- Internet service plans (speed packages)
+    CREATE TABLE IF NOT EXISTS plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nama TEXT UNIQUE NOT NULL,
+      kecepatan TEXT,
+      harga INTEGER NOT NULL,
+      profile TEXT,
+      deskripsi TEXT,
+      aktif INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Users table
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      nama_lengkap TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'staff' CHECK(role IN ('admin', 'staff')),
+      aktif INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Customers table
+    CREATE TABLE IF NOT EXISTS customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nama TEXT NOT NULL,
+      tipe TEXT NOT NULL CHECK(tipe IN ('internet', 'gas')),
+      whatsapp TEXT NOT NULL,
+      username_pppoe TEXT,
+      password_pppoe TEXT,
+      alamat TEXT,
+      plan_id INTEGER REFERENCES plans(id),
+      harga_khusus INTEGER,
+      terisolir INTEGER DEFAULT 0,
+      email TEXT,
+      channel TEXT,
+      channel_fallback TEXT,
+      aktif INTEGER DEFAULT 1,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    -- Transactions table
+    CREATE TABLE IF NOT EXISTS transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER,
+      customer_nama TEXT NOT NULL,
+      customer_tipe TEXT NOT NULL,
+      kategori TEXT NOT NULL,
+      jumlah INTEGER NOT NULL,
+      jenis TEXT NOT NULL CHECK(jenis IN ('pemasukan', 'pengeluaran')),
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'lunas')),
+      deskripsi TEXT,
+      periode TEXT,
+      jatuh_tempo DATE,
+      terbayar INTEGER NOT NULL DEFAULT 0,
+      no_invoice TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    -- Settings table
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY UNIQUE,
+      value TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Message logs table
+    CREATE TABLE IF NOT EXISTS message_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER,
+      customer_nama TEXT,
+      phone TEXT NOT NULL,
+      message_type TEXT NOT NULL,
+      channel TEXT NOT NULL DEFAULT 'whatsapp',
+      status TEXT NOT NULL CHECK(status IN ('success', 'failed', 'pending')),
+      message_preview TEXT,
+      error_message TEXT,
+      sent_by INTEGER,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (sent_by) REFERENCES users(id)
+    );
+
+    -- Activity logs untuk audit trail
+    CREATE TABLE IF NOT EXISTS activity_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      action TEXT NOT NULL,
+      details TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    -- Billing runs (monthly invoice generation)
+    CREATE TABLE IF NOT EXISTS billing_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      periode TEXT NOT NULL,
+      source TEXT NOT NULL CHECK(source IN ('manual', 'scheduled')),
+      created_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      total_amount INTEGER DEFAULT 0,
+      run_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (run_by) REFERENCES users(id)
+    );
+
+    -- One generated invoice per customer per period
+    CREATE TABLE IF NOT EXISTS billing_invoices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      periode TEXT NOT NULL,
+      customer_id INTEGER NOT NULL,
+      transaction_id INTEGER,
+      run_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(periode, customer_id),
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL,
+      FOREIGN KEY (run_id) REFERENCES billing_runs(id)
+    );
+
+    -- Payments received from customers
+    CREATE TABLE IF NOT EXISTS payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      jumlah INTEGER NOT NULL,
+      metode TEXT NOT NULL DEFAULT 'tunai',
+      referensi TEXT,
+      catatan TEXT,
+      income_transaction_id INTEGER,
+      status TEXT NOT NULL DEFAULT 'aktif' CHECK(status IN ('aktif', 'dibatalkan')),
+      alasan_batal TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      reversed_by INTEGER,
+      reversed_at DATETIME,
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (income_transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (created_by) REFERENCES users(id),
+      FOREIGN KEY (reversed_by) REFERENCES users(id)
+    );
+
+    -- Plan and price changes per customer
+    CREATE TABLE IF NOT EXISTS customer_plan_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      plan_lama_id INTEGER,
+      plan_baru_id INTEGER,
+      harga_lama INTEGER,
+      harga_baru INTEGER,
+      changed_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+      FOREIGN KEY (plan_lama_id) REFERENCES plans(id),
+      FOREIGN KEY (plan_baru_id) REFERENCES plans(id),
+      FOREIGN KEY (changed_by) REFERENCES users(id)
+    );
+
+    -- How each payment is split across pending bills
+    CREATE TABLE IF NOT EXISTS payment_allocations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      payment_id INTEGER NOT NULL,
+      transaction_id INTEGER NOT NULL,
+      jumlah INTEGER NOT NULL,
+      FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+    );
+
+    -- Last invoice number issued per year
+    CREATE TABLE IF NOT EXISTS invoice_sequences (
+      tahun INTEGER PRIMARY KEY,
+      nomor_terakhir INTEGER NOT NULL DEFAULT 0
+    );
+
+    -- Reminder rules; offset_hari is relative to the due date (negative = before)
+    CREATE TABLE IF NOT EXISTS reminder_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nama TEXT NOT NULL,
+      offset_hari INTEGER NOT NULL,
+      template TEXT NOT NULL,
+      aktif INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- One row per execution of a rule for a given day
+    CREATE TABLE IF NOT EXISTS reminder_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER NOT NULL,
+      run_date DATE NOT NULL,
+      source TEXT NOT NULL DEFAULT 'scheduled' CHECK(source IN ('manual', 'scheduled')),
+      status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'completed', 'failed')),
+      total INTEGER DEFAULT 0,
+      sent INTEGER DEFAULT 0,
+      failed INTEGER DEFAULT 0,
+      error_message TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME,
+      FOREIGN KEY (rule_id) REFERENCES reminder_rules(id) ON DELETE CASCADE
+    );
+
+    -- Reminders sent per bill, so a rule never reminds the same bill twice
+    CREATE TABLE IF NOT EXISTS reminder_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER NOT NULL,
+      run_id INTEGER,
+      transaction_id INTEGER NOT NULL,
+      customer_id INTEGER,
+      status TEXT NOT NULL CHECK(status IN ('success', 'failed')),
+      error_message TEXT,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (rule_id) REFERENCES reminder_rules(id) ON DELETE CASCADE,
+      FOREIGN KEY (run_id) REFERENCES reminder_runs(id) ON DELETE CASCADE,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+    );
+
+    -- Message templates; tipe NULL applies to every customer type
+    CREATE TABLE IF NOT EXISTS message_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nama TEXT UNIQUE NOT NULL,
+      tipe TEXT CHECK(tipe IN ('internet', 'gas')),
+      isi TEXT NOT NULL,
+      is_default INTEGER DEFAULT 0,
+      versi INTEGER NOT NULL DEFAULT 1,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    -- Every saved version of a template's text
+    CREATE TABLE IF NOT EXISTS message_template_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      template_id INTEGER NOT NULL,
+      versi INTEGER NOT NULL,
+      isi TEXT NOT NULL,
+      changed_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(template_id, versi),
+      FOREIGN KEY (template_id) REFERENCES message_templates(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id)
+    );
+
+    -- Background WhatsApp broadcast jobs
+    CREATE TABLE IF NOT EXISTS broadcast_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      template TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'cancelled', 'completed')),
+      error_message TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    -- Recipients of a broadcast job, snapshotted when the job is created
+    CREATE TABLE IF NOT EXISTS broadcast_recipients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      customer_id INTEGER,
+      customer_nama TEXT NOT NULL,
+      jumlah INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'success', 'failed')),
+      error_message TEXT,
+      sent_at DATETIME,
+      FOREIGN KEY (job_id) REFERENCES broadcast_jobs(id) ON DELETE CASCADE,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+    );
+
+    -- LPG cylinder stock movements (signed quantity changes)
+    CREATE TABLE IF NOT EXISTS gas_stock_movements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tipe TEXT NOT NULL CHECK(tipe IN ('masuk', 'keluar', 'kembali_kosong')),
+      qty_isi INTEGER NOT NULL DEFAULT 0,
+      qty_kosong INTEGER NOT NULL DEFAULT 0,
+      harga_satuan INTEGER,
+      supplier TEXT,
+      customer_id INTEGER,
+      transaction_id INTEGER,
+      keterangan TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+    `);
+  }
+};
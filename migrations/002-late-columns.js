@@ -0,0 +1,22 @@
+const { addColumnIfMissing } = require('./helpers');
+
+// Columns added to the schema over time. Installs created before migrations may lack any of them.
+module.exports = {
+  name: 'Columns added after the first release',
+  up(db) {
+    addColumnIfMissing(db, 'transactions', 'periode', 'TEXT');
+    addColumnIfMissing(db, 'transactions', 'jatuh_tempo', 'DATE');
+    addColumnIfMissing(db, 'transactions', 'terbayar', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing(db, 'customers', 'plan_id', 'INTEGER REFERENCES plans(id)');
+    addColumnIfMissing(db, 'customers', 'harga_khusus', 'INTEGER');
+    addColumnIfMissing(db, 'customers', 'terisolir', 'INTEGER DEFAULT 0');
+    addColumnIfMissing(db, 'plans', 'profile', 'TEXT');
+    addColumnIfMissing(db, 'transactions', 'no_invoice', 'TEXT');
+    addColumnIfMissing(db, 'customers', 'email', 'TEXT');
+    addColumnIfMissing(db, 'customers', 'channel', 'TEXT');
+    addColumnIfMissing(db, 'customers', 'channel_fallback', 'TEXT');
+    addColumnIfMissing(db, 'message_logs', 'channel', "TEXT NOT NULL DEFAULT 'whatsapp'");
+
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_no_invoice ON transactions(no_invoice)');
+  }
+};
@@ -0,0 +1,9 @@
+const { dropNotNull } = require('./helpers');
+
+// Expenses such as gas stock purchases are not tied to a customer
+module.exports = {
+  name: 'Allow transactions without a customer',
+  up(db) {
+    dropNotNull(db, 'transactions', 'customer_id');
+  }
+};
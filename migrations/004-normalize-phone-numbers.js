@@ -0,0 +1,31 @@
+const phone = require('../phone');
+
+// Numbers were stored as typed ("0812-...", "+62 812 ..."); store them as E.164 like new customers.
+// Numbers that are not valid Indonesian mobile numbers are left as they are and listed,
+// they have to be fixed by hand and are rejected on the next edit until then.
+module.exports = {
+  name: 'Normalize customer phone numbers to E.164',
+  up(db) {
+    const update = db.prepare('UPDATE customers SET whatsapp = ? WHERE id = ?');
+    const invalid = [];
+
+    for (const customer of db.prepare('SELECT id, nama, whatsapp FROM customers').all()) {
+      const number = phone.normalize(customer.whatsapp);
+      if (!number) {
+        invalid.push(`#${customer.id} ${customer.nama} (${customer.whatsapp})`);
+      } else if (number !== customer.whatsapp) {
+        update.run(number, customer.id);
+      }
+    }
+
+    const admins = db.prepare("SELECT value FROM settings WHERE key = 'admin_whatsapp'").get();
+    if (admins && admins.value) {
+      const numbers = admins.value.split(',').map(n => n.trim()).filter(Boolean).map(n => phone.normalize(n) || n);
+      db.prepare("UPDATE settings SET value = ? WHERE key = 'admin_whatsapp'").run(numbers.join(','));
+    }
+
+    if (invalid.length > 0) {
+      console.warn(`⚠️  ${invalid.length} customer phone number(s) could not be normalized: ${invalid.join(', ')}`);
+    }
+  }
+};
@@ -0,0 +1,73 @@
+const { rebuildTable } = require('./helpers');
+
+const READ_ALL = [
+  'customers.read', 'transactions.read', 'payments.read', 'inventory.read', 'reports.read',
+  'billing.read', 'reminders.read', 'templates.read', 'whatsapp.read', 'settings.read'
+];
+
+// Starting roles. Staff keeps what it could do before, except deleting transactions,
+// changing settings and starting/stopping WhatsApp. Admin needs no rows, it holds everything.
+const ROLES = [
+  { nama: 'admin', label: 'Admin', deskripsi: 'Akses penuh', permissions: [] },
+  {
+    nama: 'staff',
+    label: 'Staff',
+    deskripsi: 'Kasir & operasional harian',
+    permissions: [
+      ...READ_ALL, 'customers.write', 'customers.delete', 'customers.import', 'transactions.write',
+      'payments.write', 'inventory.write', 'whatsapp.send', 'whatsapp.broadcast', 'export.data'
+    ]
+  },
+  {
+    nama: 'collector',
+    label: 'Penagih',
+    deskripsi: 'Menagih dan menerima pembayaran',
+    permissions: ['customers.read', 'transactions.read', 'payments.read', 'payments.write', 'whatsapp.send']
+  },
+  {
+    nama: 'technician',
+    label: 'Teknisi',
+    deskripsi: 'Pemasangan dan akun PPPoE',
+    permissions: ['customers.read', 'customers.write', 'mikrotik.manage', 'export.pppoe']
+  },
+  {
+    nama: 'viewer',
+    label: 'Viewer',
+    deskripsi: 'Hanya melihat data',
+    permissions: READ_ALL
+  }
+];
+
+// Roles become rows with a permission matrix; users.role points at them instead of a CHECK list
+module.exports = {
+  name: 'Add roles and permissions',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nama TEXT UNIQUE NOT NULL,
+        label TEXT NOT NULL,
+        deskripsi TEXT,
+        sistem INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL,
+        permission TEXT NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      );
+    `);
+
+    const insertRole = db.prepare('INSERT OR IGNORE INTO roles (nama, label, deskripsi, sistem) VALUES (?, ?, ?, ?)');
+    const insertPermission = db.prepare('INSERT OR IGNORE INTO role_permissions (role_id, permission) SELECT id, ? FROM roles WHERE nama = ?');
+    for (const role of ROLES) {
+      insertRole.run(role.nama, role.label, role.deskripsi, role.nama === 'admin' || role.nama === 'staff' ? 1 : 0);
+      role.permissions.forEach(permission => insertPermission.run(permission, role.nama));
+    }
+
+    rebuildTable(db, 'users', sql => sql.replace(/CHECK\s*\(\s*role\s+IN\s*\([^)]*\)\s*\)/i, 'REFERENCES roles(nama)'));
+  }
+};
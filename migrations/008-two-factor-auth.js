@@ -0,0 +1,26 @@
+const { addColumnIfMissing } = require('./helpers');
+
+// TOTP two-factor login. totp_secret is set at enrollment and only counts once totp_enabled is 1;
+// totp_last_step is the time step of the last accepted code, so a code works only once.
+// Recovery codes are stored as hashes and marked when used.
+module.exports = {
+  name: 'Add TOTP two-factor authentication',
+  up(db) {
+    addColumnIfMissing(db, 'users', 'totp_secret', 'TEXT');
+    addColumnIfMissing(db, 'users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing(db, 'users', 'totp_last_step', 'INTEGER');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+    `);
+  }
+};
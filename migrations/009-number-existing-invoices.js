@@ -0,0 +1,30 @@
+// Invoice numbers used to be given when a document was first opened. Customer bills and sales
+// that were never opened get theirs now, in creation order; payment income rows stay unnumbered.
+module.exports = {
+  name: 'Number customer bills that have no invoice number',
+  up(db) {
+    const prefixRow = db.prepare("SELECT value FROM settings WHERE key = 'invoice_prefix'").get();
+    const prefix = (prefixRow && prefixRow.value) || 'INV';
+
+    const bills = db.prepare(`
+      SELECT id, CAST(strftime('%Y', created_at, 'localtime') AS INTEGER) as year,
+        strftime('%m', created_at, 'localtime') as month
+      FROM transactions
+      WHERE no_invoice IS NULL AND customer_id IS NOT NULL
+        AND id NOT IN (SELECT income_transaction_id FROM payments WHERE income_transaction_id IS NOT NULL)
+      ORDER BY created_at, id
+    `).all();
+
+    const next = db.prepare(`
+      INSERT INTO invoice_sequences (tahun, nomor_terakhir) VALUES (?, 1)
+      ON CONFLICT(tahun) DO UPDATE SET nomor_terakhir = nomor_terakhir + 1
+      RETURNING nomor_terakhir
+    `);
+    const update = db.prepare('UPDATE transactions SET no_invoice = ? WHERE id = ?');
+
+    for (const bill of bills) {
+      const { nomor_terakhir } = next.get(bill.year);
+      update.run(`${prefix}/${bill.year}/${bill.month}/${String(nomor_terakhir).padStart(4, '0')}`, bill.id);
+    }
+  }
+};
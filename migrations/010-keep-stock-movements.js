@@ -0,0 +1,14 @@
+const { rebuildTable } = require('./helpers');
+
+// Deleting a transaction used to delete its stock movement through ON DELETE CASCADE, so
+// removing the expense of a purchase made the cylinders disappear. Movements now outlive it;
+// transactionOps.delete decides what happens to them.
+module.exports = {
+  name: 'Keep gas stock movements when their transaction is deleted',
+  up(db) {
+    rebuildTable(db, 'gas_stock_movements', sql => sql.replace(
+      /(FOREIGN KEY\s*\(\s*transaction_id\s*\)\s*REFERENCES\s+transactions\s*\(\s*id\s*\)\s*)ON DELETE CASCADE/i,
+      '$1ON DELETE SET NULL'
+    ));
+  }
+};
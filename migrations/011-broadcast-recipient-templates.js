@@ -0,0 +1,11 @@
+const { addColumnIfMissing, dropNotNull } = require('./helpers');
+
+// Broadcasts without a template use the default template of each customer's tipe, so the
+// text is kept per recipient; the job only keeps a template that was given for everyone.
+module.exports = {
+  name: 'Keep the broadcast template per recipient',
+  up(db) {
+    addColumnIfMissing(db, 'broadcast_recipients', 'template', 'TEXT');
+    dropNotNull(db, 'broadcast_jobs', 'template');
+  }
+};
@@ -0,0 +1,44 @@
+// Shared steps for migration files. They run inside the migration's transaction
+// with foreign keys off, see migrate.js.
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+// Add a column unless an older install already has it
+function addColumnIfMissing(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// SQLite cannot change constraints in place. Recreate the table from its stored
+// definition after `transform(sql)`, copying the columns both versions share.
+function rebuildTable(db, table, transform) {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  const rebuilt = transform(sql).replace(/CREATE TABLE\s+(IF NOT EXISTS\s+)?\w+/i, `CREATE TABLE ${table}_rebuild`);
+  const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL").all(table);
+
+  db.exec(rebuilt);
+  const newColumns = new Set(db.prepare(`PRAGMA table_info(${table}_rebuild)`).all().map(c => c.name));
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name).filter(c => newColumns.has(c)).join(', ');
+
+  db.exec(`INSERT INTO ${table}_rebuild (${columns}) SELECT ${columns} FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${table}_rebuild RENAME TO ${table}`);
+  indexes.forEach(index => db.exec(index.sql));
+}
+
+function dropNotNull(db, table, column) {
+  const info = db.prepare(`PRAGMA table_info(${table})`).all().find(c => c.name === column);
+  if (!info || !info.notnull) return;
+
+  rebuildTable(db, table, sql => sql.replace(new RegExp(`(\\b${column}\\s+\\w+)\\s+NOT NULL`, 'i'), '$1'));
+}
+
+module.exports = {
+  hasColumn,
+  addColumnIfMissing,
+  rebuildTable,
+  dropNotNull
+};
@@ -0,0 +1,424 @@
+const net = require('net');
+const crypto = require('crypto');
+const { userOps, customerOps, transactionOps, settingsOps } = require('./database');
+
+// Check once an hour for customers to isolate
+const SCHEDULER_INTERVAL = 60 * 60 * 1000;
+const CONNECT_TIMEOUT = 10000;
+
+let schedulerTimer = null;
+let updateCallback = null;
+
+function setCallback(cb) {
+  updateCallback = cb;
+}
+
+function notifyUpdate(summary) {
+  if (updateCallback) {
+    updateCallback(summary);
+  }
+}
+
+// Router connection comes from the environment, the isolation policy from settings
+function getConfig() {
+  return {
+    host: process.env.MIKROTIK_HOST,
+    port: parseInt(process.env.MIKROTIK_PORT) || 8728,
+    user: process.env.MIKROTIK_USER || 'admin',
+    password: process.env.MIKROTIK_PASSWORD || ''
+  };
+}
+
+function isConfigured() {
+  return !!getConfig().host;
+}
+
+function getOverdueThreshold() {
+  const days = parseInt(settingsOps.get('isolir_overdue_days'));
+  return isNaN(days) ? 30 : days;
+}
+
+// ==================== ROUTEROS API PROTOCOL ====================
+
+// Word length prefix, see https://help.mikrotik.com/docs/display/ROS/API
+function encodeLength(len) {
+  if (len < 0x80) return Buffer.from([len]);
+  if (len < 0x4000) return Buffer.from([(len >> 8) | 0x80, len & 0xff]);
+  if (len < 0x200000) return Buffer.from([(len >> 16) | 0xc0, (len >> 8) & 0xff, len & 0xff]);
+  if (len < 0x10000000) return Buffer.from([(len >> 24) | 0xe0, (len >> 16) & 0xff, (len >> 8) & 0xff, len & 0xff]);
+  return Buffer.from([0xf0, (len >> 24) & 0xff, (len >> 16) & 0xff, (len >> 8) & 0xff, len & 0xff]);
+}
+
+// Returns { length, size } or null when the buffer does not hold the whole prefix yet
+function decodeLength(buf, offset) {
+  if (offset >= buf.length) return null;
+  const first = buf[offset];
+
+  let size;
+  let length;
+  if ((first & 0x80) === 0x00) {
+    size = 1;
+    length = first;
+  } else if ((first & 0xc0) === 0x80) {
+    size = 2;
+    length = first & 0x3f;
+  } else if ((first & 0xe0) === 0xc0) {
+    size = 3;
+    length = first & 0x1f;
+  } else if ((first & 0xf0) === 0xe0) {
+    size = 4;
+    length = first & 0x0f;
+  } else {
+    size = 5;
+    length = 0;
+  }
+
+  if (offset + size > buf.length) return null;
+  for (let i = 1; i < size; i++) {
+    length = length * 256 + buf[offset + i];
+  }
+  return { length, size };
+}
+
+function encodeSentence(words) {
+  const parts = [];
+  words.forEach(word => {
+    const data = Buffer.from(word, 'utf8');
+    parts.push(encodeLength(data.length), data);
+  });
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+// Turn reply words ("=name=value") into a plain object
+function parseAttributes(words) {
+  const record = {};
+  words.forEach(word => {
+    if (!word.startsWith('=')) return;
+    const separator = word.indexOf('=', 1);
+    record[word.substring(1, separator)] = word.substring(separator + 1);
+  });
+  return record;
+}
+
+// Open an API session. Commands run one at a time; each resolves with the !re records.
+function connect(config = getConfig()) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: config.host, port: config.port });
+    let buffer = Buffer.alloc(0);
+    let words = [];
+    let pending = null;
+    let queue = Promise.resolve();
+    let closed = false;
+
+    function fail(error) {
+      closed = true;
+      if (pending) {
+        pending.reject(error);
+        pending = null;
+      }
+    }
+
+    function handleSentence(sentence) {
+      if (!pending) return;
+      const [type, ...rest] = sentence;
+
+      if (type === '!re') {
+        pending.records.push(parseAttributes(rest));
+      } else if (type === '!done') {
+        if (!pending.trap) {
+          pending.resolve({ records: pending.records, done: parseAttributes(rest) });
+        } else {
+          pending.reject(new Error(pending.trap));
+        }
+        pending = null;
+      } else if (type === '!trap') {
+        pending.trap = parseAttributes(rest).message || 'RouterOS error';
+      } else if (type === '!fatal') {
+        fail(new Error(rest.join(' ') || 'RouterOS fatal error'));
+        socket.destroy();
+      }
+    }
+
+    socket.setTimeout(CONNECT_TIMEOUT);
+    socket.on('timeout', () => {
+      socket.destroy(new Error('Koneksi ke MikroTik timeout'));
+    });
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+
+      while (true) {
+        const prefix = decodeLength(buffer, offset);
+        if (!prefix || offset + prefix.size + prefix.length > buffer.length) break;
+
+        const start = offset + prefix.size;
+        offset = start + prefix.length;
+
+        if (prefix.length === 0) {
+          handleSentence(words);
+          words = [];
+        } else {
+          words.push(buffer.toString('utf8', start, offset));
+        }
+      }
+
+      buffer = buffer.subarray(offset);
+    });
+
+    socket.on('error', (error) => {
+      fail(error);
+      reject(error);
+    });
+
+    socket.on('close', () => {
+      fail(new Error('Koneksi ke MikroTik terputus'));
+    });
+
+    function send(words) {
+      if (closed) return Promise.reject(new Error('Koneksi ke MikroTik terputus'));
+      return new Promise((res, rej) => {
+        pending = { records: [], trap: null, resolve: res, reject: rej };
+        socket.write(encodeSentence(words));
+      });
+    }
+
+    // command('/ppp/secret/print', {}, { name: 'budi' }) -> =attr=value words and ?query=value words
+    function command(path, attributes = {}, query = {}) {
+      const words = [path];
+      Object.entries(attributes).forEach(([key, value]) => words.push(`=${key}=${value}`));
+      Object.entries(query).forEach(([key, value]) => words.push(`?${key}=${value}`));
+
+      const run = queue.then(() => send(words)).then(reply => reply.records);
+      queue = run.catch(() => {});
+      return run;
+    }
+
+    function close() {
+      closed = true;
+      socket.end();
+    }
+
+    socket.once('connect', async () => {
+      try {
+        await login(send, config);
+        resolve({ command, close });
+      } catch (error) {
+        socket.destroy();
+        reject(error);
+      }
+    });
+  });
+}
+
+// Plain login (RouterOS 6.43+), falling back to the legacy MD5 challenge
+async function login(send, config) {
+  const reply = await send(['/login', `=name=${config.user}`, `=password=${config.password}`]);
+
+  // Older routers answer the plain login with a challenge in !done =ret=
+  const challenge = reply.done.ret;
+  if (challenge) {
+    const md5 = crypto.createHash('md5');
+    md5.update(Buffer.from([0]));
+    md5.update(config.password);
+    md5.update(Buffer.from(challenge, 'hex'));
+    await send(['/login', `=name=${config.user}`, `=response=00${md5.digest('hex')}`]);
+  }
+}
+
+async function withConnection(fn) {
+  if (!isConfigured()) {
+    throw new Error('MikroTik belum dikonfigurasi (MIKROTIK_HOST)');
+  }
+
+  const conn = await connect();
+  try {
+    return await fn(conn);
+  } finally {
+    conn.close();
+  }
+}
+
+// ==================== PPP SECRET MANAGEMENT ====================
+
+function secretComment(customer) {
+  return `billing:${customer.id} ${customer.nama}`;
+}
+
+// print reports disabled as true/false while set takes yes/no; the password
+// is only returned to users with the "sensitive" policy
+function secretChanged(secret, desired) {
+  if (secret.password !== undefined && secret.password !== desired.password) return true;
+  if (secret.profile !== desired.profile || secret.comment !== desired.comment) return true;
+  return (secret.disabled === 'true' || secret.disabled === 'yes') !== (desired.disabled === 'yes');
+}
+
+async function setSecretDisabled(conn, customer, disabled) {
+  const secrets = await conn.command('/ppp/secret/print', {}, { name: customer.username_pppoe });
+  if (secrets.length === 0) {
+    throw new Error(`PPP secret ${customer.username_pppoe} tidak ditemukan di router`);
+  }
+
+  await conn.command('/ppp/secret/set', { '.id': secrets[0]['.id'], disabled: disabled ? 'yes' : 'no' });
+
+  // Drop the active session so the isolation takes effect immediately
+  if (disabled) {
+    const active = await conn.command('/ppp/active/print', {}, { name: customer.username_pppoe });
+    for (const session of active) {
+      await conn.command('/ppp/active/remove', { '.id': session['.id'] });
+    }
+  }
+}
+
+// Create or update PPP secrets for every internet customer with PPPoE credentials
+async function syncSecrets(userId = null) {
+  const customers = customerOps.getAll({ tipe: 'internet' });
+  const summary = { total: customers.length, created: 0, updated: 0, unchanged: 0, skipped: 0, errors: [] };
+
+  await withConnection(async (conn) => {
+    const secrets = await conn.command('/ppp/secret/print');
+    const byName = new Map(secrets.map(secret => [secret.name, secret]));
+
+    for (const customer of customers) {
+      if (!customer.username_pppoe || !customer.password_pppoe) {
+        summary.skipped++;
+        continue;
+      }
+
+      const desired = {
+        password: customer.password_pppoe,
+        profile: customer.plan_profile || 'default',
+        disabled: customer.terisolir || !customer.aktif ? 'yes' : 'no',
+        comment: secretComment(customer)
+      };
+
+      try {
+        const secret = byName.get(customer.username_pppoe);
+        if (!secret) {
+          await conn.command('/ppp/secret/add', { name: customer.username_pppoe, service: 'pppoe', ...desired });
+          summary.created++;
+          continue;
+        }
+
+        const changed = secretChanged(secret, desired);
+        if (changed) {
+          await conn.command('/ppp/secret/set', { '.id': secret['.id'], ...desired });
+          summary.updated++;
+        } else {
+          summary.unchanged++;
+        }
+      } catch (error) {
+        summary.errors.push({ customer: customer.nama, error: error.message });
+      }
+    }
+  });
+
+  userOps.logActivity(userId, 'MIKROTIK_SYNC', `Sync PPP secret: ${summary.created} baru, ${summary.updated} diubah, ${summary.errors.length} gagal`);
+  notifyUpdate({ action: 'sync', ...summary });
+
+  return summary;
+}
+
+// Disable the PPP secret of every customer whose oldest unpaid bill is past the threshold
+async function isolateOverdue(userId = null) {
+  const threshold = getOverdueThreshold();
+  const candidates = transactionOps.getAging()
+    .filter(row => row.tipe === 'internet' && row.max_days_overdue > threshold)
+    .map(row => customerOps.getById(row.customer_id))
+    .filter(customer => customer && customer.aktif && !customer.terisolir && customer.username_pppoe);
+
+  const summary = { threshold, total: candidates.length, isolated: 0, errors: [] };
+  if (candidates.length === 0) return summary;
+
+  await withConnection(async (conn) => {
+    for (const customer of candidates) {
+      try {
+        await setSecretDisabled(conn, customer, true);
+        customerOps.setIsolated(customer.id, true);
+        summary.isolated++;
+        userOps.logActivity(userId, 'MIKROTIK_ISOLATE', `Isolir ${customer.username_pppoe} (${customer.nama}), tunggakan lewat ${threshold} hari`);
+      } catch (error) {
+        summary.errors.push({ customer: customer.nama, error: error.message });
+        userOps.logActivity(userId, 'MIKROTIK_ERROR', `Gagal isolir ${customer.username_pppoe}: ${error.message}`);
+      }
+    }
+  });
+
+  notifyUpdate({ action: 'isolate', ...summary });
+  return summary;
+}
+
+// Re-enable an isolated customer once every bill is paid. Paying only the oldest
+// bills is not enough, even when the rest is not past the threshold yet.
+async function restoreIfCleared(customerId, userId = null) {
+  const customer = customerOps.getById(customerId);
+  if (!customer || !customer.terisolir || !isConfigured()) return false;
+
+  if (transactionOps.getPendingByCustomer(customer.id).some(t => t.sisa > 0)) return false;
+
+  return restoreCustomer(customer, userId);
+}
+
+async function restoreCustomer(customer, userId = null) {
+  try {
+    await withConnection(conn => setSecretDisabled(conn, customer, false));
+    customerOps.setIsolated(customer.id, false);
+    userOps.logActivity(userId, 'MIKROTIK_RESTORE', `Aktifkan kembali ${customer.username_pppoe} (${customer.nama})`);
+    notifyUpdate({ action: 'restore', customer_id: customer.id });
+    return true;
+  } catch (error) {
+    userOps.logActivity(userId, 'MIKROTIK_ERROR', `Gagal aktifkan ${customer.username_pppoe}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Check router reachability and credentials
+async function getStatus() {
+  if (!isConfigured()) {
+    return { configured: false, connected: false };
+  }
+
+  const config = getConfig();
+  try {
+    const identity = await withConnection(conn => conn.command('/system/identity/print'));
+    return { configured: true, connected: true, host: config.host, identity: identity[0] ? identity[0].name : null };
+  } catch (error) {
+    return { configured: true, connected: false, host: config.host, error: error.message };
+  }
+}
+
+async function checkSchedule() {
+  try {
+    if (!isConfigured() || settingsOps.get('isolir_auto') !== '1') return;
+    await isolateOverdue();
+  } catch (error) {
+    console.error('Scheduled isolation failed:', error);
+  }
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+  checkSchedule();
+  schedulerTimer = setInterval(checkSchedule, SCHEDULER_INTERVAL);
+}
+
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  connect,
+  isConfigured,
+  getStatus,
+  syncSecrets,
+  isolateOverdue,
+  restoreIfCleared,
+  restoreCustomer,
+  setCallback,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,252 @@
+const http = require('http');
+const https = require('https');
+const nodemailer = require('nodemailer');
+const { customerOps, settingsOps, messageOps, validationError } = require('./database');
+const whatsapp = require('./whatsapp');
+const phone = require('./phone');
+
+const CHANNELS = ['whatsapp', 'email', 'sms'];
+const SMS_TIMEOUT = 15000;
+
+let mailTransport = null;
+
+// Every provider implements the same interface:
+//   isReady()          - whether it can send right now
+//   getAddress(c)      - the customer's address on this channel, or null
+//   send(to, message, options) - resolves with the address used, throws on failure
+
+const whatsappProvider = {
+  isReady: () => whatsapp.getStatus().status === 'ready',
+  getAddress: (customer) => phone.toDigits(customer.whatsapp),
+  send: (to, message) => whatsapp.sendText(to, message)
+};
+
+// SMTP settings come from the environment (see .env.example)
+const emailProvider = {
+  isReady: () => !!process.env.SMTP_HOST,
+  getAddress: (customer) => customer.email || null,
+  send: async (to, message, options = {}) => {
+    if (!mailTransport) {
+      mailTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+
+    await mailTransport.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject: options.subject || `${settingsOps.get('app_name') || ''} - Informasi Tagihan`,
+      text: message
+    });
+    return to;
+  }
+};
+
+// Generic HTTP SMS gateway. SMS_GATEWAY_URL may contain {to} and {message}
+// placeholders for GET style gateways; with POST the body is JSON { to, message }.
+const smsProvider = {
+  isReady: () => !!process.env.SMS_GATEWAY_URL,
+  getAddress: (customer) => phone.toDigits(customer.whatsapp),
+  send: (to, message) => {
+    const method = (process.env.SMS_GATEWAY_METHOD || 'POST').toUpperCase();
+    const url = new URL(process.env.SMS_GATEWAY_URL
+      .replace('{to}', encodeURIComponent(to))
+      .replace('{message}', encodeURIComponent(message)));
+    const body = method === 'POST' ? JSON.stringify({ to, message }) : null;
+
+    const headers = {};
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+    if (process.env.SMS_GATEWAY_TOKEN) {
+      headers['Authorization'] = `Bearer ${process.env.SMS_GATEWAY_TOKEN}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = (url.protocol === 'https:' ? https : http).request(url, { method, headers, timeout: SMS_TIMEOUT }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(to);
+          } else {
+            reject(new Error(`SMS gateway HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('SMS gateway timeout')));
+      req.on('error', reject);
+      if (body) req.write(body);
+      req.end();
+    });
+  }
+};
+
+// In-memory provider that records messages instead of sending them.
+// With NOTIFY_MOCK=true it stands in for every channel, so nothing leaves the server.
+const mockProvider = {
+  outbox: [],
+  failChannels: [],
+  isReady: () => true,
+  send: async (to, message, options = {}) => {
+    if (mockProvider.failChannels.includes(options.channel)) {
+      throw new Error(`Mock ${options.channel} failure`);
+    }
+    mockProvider.outbox.push({ channel: options.channel, to, message, subject: options.subject || null, sent_at: new Date().toISOString() });
+    return to;
+  },
+  clear: () => {
+    mockProvider.outbox = [];
+    mockProvider.failChannels = [];
+  }
+};
+
+const providers = {
+  whatsapp: whatsappProvider,
+  email: emailProvider,
+  sms: smsProvider
+};
+
+function isMockMode() {
+  return process.env.NOTIFY_MOCK === 'true';
+}
+
+// Provider for a channel, with the mock swapped in for sending when enabled
+function getProvider(channel) {
+  const provider = providers[channel];
+  if (!provider || !isMockMode()) return provider;
+  return { ...provider, isReady: mockProvider.isReady, send: mockProvider.send };
+}
+
+// Primary and fallback channel for a customer, defaulting to the settings
+function getChannels(customer) {
+  const primary = customer.channel || settingsOps.get('notify_channel') || 'whatsapp';
+  const fallback = customer.channel_fallback || settingsOps.get('notify_fallback') || null;
+  return [primary, fallback].filter((channel, i, list) => channel && list.indexOf(channel) === i);
+}
+
+// Whether one of the customer's channels can send right now; without a customer, whether any channel can
+function hasReadyChannel(customer = null) {
+  const channels = customer ? getChannels(customer) : CHANNELS;
+  return channels.some(channel => {
+    const provider = getProvider(channel);
+    return !!provider && provider.isReady();
+  });
+}
+
+function getChannelStatus() {
+  return CHANNELS.map(channel => ({ channel, ready: getProvider(channel).isReady() }));
+}
+
+// Send a message to a customer on their preferred channel, falling back to the
+// secondary channel when the first one fails. Every attempt is logged.
+async function sendBillingMessage(customerId, message, userId = null, messageType = 'billing', options = {}) {
+  const customer = customerOps.getById(customerId);
+  if (!customer) {
+    messageOps.create({
+      customer_id: null,
+      phone: '-',
+      message_type: messageType,
+      status: 'failed',
+      message_preview: message?.substring(0, 200),
+      error_message: 'Customer not found',
+      sent_by: userId
+    });
+    return { success: false, error: 'Customer not found' };
+  }
+
+  let lastError = null;
+
+  for (const channel of getChannels(customer)) {
+    const provider = getProvider(channel);
+    const address = provider ? provider.getAddress(customer) : null;
+
+    try {
+      if (!provider) throw new Error(`Unknown channel: ${channel}`);
+      if (!provider.isReady()) throw new Error(`Channel ${channel} not available`);
+      if (!address) throw new Error(`Customer has no ${channel} address`);
+
+      const sentTo = await provider.send(address, message, { ...options, channel });
+
+      messageOps.create({
+        customer_id: customer.id,
+        customer_nama: customer.nama,
+        phone: sentTo,
+        message_type: messageType,
+        channel,
+        status: 'success',
+        message_preview: message.substring(0, 200),
+        sent_by: userId
+      });
+
+      console.log(`✅ Message sent to ${customer.nama} via ${channel} (${sentTo})`);
+      return { success: true, customer: customer.nama, channel, phone: sentTo };
+
+    } catch (error) {
+      console.error(`Failed to send message via ${channel}:`, error.message);
+      lastError = error;
+
+      messageOps.create({
+        customer_id: customer.id,
+        customer_nama: customer.nama,
+        phone: address || '-',
+        message_type: messageType,
+        channel,
+        status: 'failed',
+        message_preview: message?.substring(0, 200),
+        error_message: error.message,
+        sent_by: userId
+      });
+    }
+  }
+
+  return { success: false, customer: customer.nama, error: lastError ? lastError.message : 'No channel configured' };
+}
+
+// WhatsApp alert to the admin numbers in the `admin_whatsapp` setting (comma separated).
+// Returns how many admins were reached; failures are logged, never thrown.
+async function sendAdminAlert(message) {
+  const numbers = (settingsOps.get('admin_whatsapp') || '').split(',').map(n => n.trim()).filter(Boolean);
+  const provider = getProvider('whatsapp');
+  let sent = 0;
+
+  for (const number of numbers) {
+    const to = phone.toDigits(number);
+    try {
+      if (!provider.isReady()) throw new Error('Channel whatsapp not available');
+      await provider.send(to, message, { channel: 'whatsapp' });
+      messageOps.create({ phone: to, message_type: 'alert', channel: 'whatsapp', status: 'success', message_preview: message.substring(0, 200) });
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send admin alert to ${to}:`, error.message);
+      messageOps.create({ phone: to, message_type: 'alert', channel: 'whatsapp', status: 'failed', message_preview: message.substring(0, 200), error_message: error.message });
+    }
+  }
+
+  return sent;
+}
+
+// Send a test message straight to an address, bypassing customer preferences
+async function sendTest(channel, to, message) {
+  if (!CHANNELS.includes(channel)) {
+    throw validationError(`Channel tidak dikenal: ${channel}`);
+  }
+  const provider = getProvider(channel);
+  if (!provider.isReady()) throw new Error(`Channel ${channel} not available`);
+  return provider.send(to, message, { channel, subject: 'Tes notifikasi' });
+}
+
+module.exports = {
+  CHANNELS,
+  sendBillingMessage,
+  sendTest,
+  sendAdminAlert,
+  getChannels,
+  getChannelStatus,
+  hasReadyChannel,
+  mock: mockProvider
+};
@@ -0,0 +1,52 @@
+// Permissions a role can be given, with the label shown to admins.
+// Every API route is guarded by one of these, see requirePermission() in server.js.
+const PERMISSIONS = {
+  'customers.read': 'Lihat pelanggan & paket',
+  'customers.write': 'Tambah & ubah pelanggan',
+  'customers.delete': 'Hapus pelanggan',
+  'customers.import': 'Import pelanggan dari CSV',
+  'plans.write': 'Kelola paket internet',
+  'transactions.read': 'Lihat transaksi & tagihan',
+  'transactions.write': 'Tambah transaksi',
+  'transactions.delete': 'Hapus transaksi',
+  'payments.read': 'Lihat pembayaran',
+  'payments.write': 'Terima pembayaran',
+  'payments.reverse': 'Batalkan pembayaran',
+  'inventory.read': 'Lihat stok gas',
+  'inventory.write': 'Catat stok gas masuk & retur',
+  'reports.read': 'Lihat laporan',
+  'billing.read': 'Lihat riwayat billing bulanan',
+  'billing.run': 'Jalankan billing bulanan',
+  'reminders.read': 'Lihat pengingat tagihan',
+  'reminders.write': 'Kelola & jalankan pengingat tagihan',
+  'templates.read': 'Lihat template pesan',
+  'templates.write': 'Kelola template pesan',
+  'whatsapp.read': 'Lihat status & log WhatsApp',
+  'whatsapp.manage': 'Start & stop WhatsApp',
+  'whatsapp.send': 'Kirim tagihan & dokumen ke pelanggan',
+  'whatsapp.broadcast': 'Kelola broadcast',
+  'notifications.test': 'Kirim pesan tes notifikasi',
+  'mikrotik.manage': 'Sync, isolir & aktifkan akun PPPoE',
+  'export.data': 'Export data (CSV/XLSX)',
+  'export.pppoe': 'Export akun PPPoE',
+  'settings.read': 'Lihat pengaturan',
+  'settings.write': 'Ubah pengaturan',
+  'backup.manage': 'Backup, restore & snapshot database',
+  'activity.read': 'Lihat log aktivitas',
+  'users.manage': 'Kelola user',
+  'roles.manage': 'Kelola role & izin'
+};
+
+// The admin role always holds every permission, including ones added later,
+// and cannot be edited or deleted so nobody can lock the admins out.
+const ADMIN_ROLE = 'admin';
+
+function isPermission(permission) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  isPermission
+};
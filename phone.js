@@ -0,0 +1,72 @@
+// Indonesian mobile numbers, stored as canonical E.164 (+628...).
+// Country code 62, then 8 and 8 to 11 more digits, e.g. 0812-3456-7890 -> +6281234567890.
+const COUNTRY_CODE = '62';
+const MOBILE_PATTERN = /^8\d{8,11}$/;
+
+// Parse user input in any common format ("0812-...", "+62 812 ...", "62812...", "812...").
+// Returns { phone } with the E.164 number, or { error } explaining why it was rejected.
+function parse(input) {
+  const text = input === null || input === undefined ? '' : String(input).trim();
+  if (!text) {
+    return { phone: null, error: 'Nomor HP kosong' };
+  }
+  if (!/^\+?[\d\s().-]+$/.test(text)) {
+    return { phone: null, error: `Nomor HP "${text}" mengandung karakter yang tidak valid` };
+  }
+
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('+') || digits.startsWith('00')) {
+    digits = digits.replace(/^00/, '');
+    if (!digits.startsWith(COUNTRY_CODE)) {
+      return { phone: null, error: `Nomor HP "${text}" bukan nomor Indonesia (+62)` };
+    }
+  }
+
+  let national;
+  if (digits.startsWith(COUNTRY_CODE)) {
+    national = digits.slice(COUNTRY_CODE.length);
+  } else if (digits.startsWith('0')) {
+    national = digits.slice(1);
+  } else {
+    national = digits;
+  }
+
+  if (!national.startsWith('8')) {
+    return { phone: null, error: `Nomor "${text}" bukan nomor HP (harus diawali 08 atau +628)` };
+  }
+  if (!MOBILE_PATTERN.test(national)) {
+    return { phone: null, error: `Nomor HP "${text}" harus 10 sampai 13 digit (format 08xx)` };
+  }
+
+  return { phone: `+${COUNTRY_CODE}${national}`, error: null };
+}
+
+// E.164 number for valid input, otherwise null
+function normalize(input) {
+  return parse(input).phone;
+}
+
+// Digits without the plus, as WhatsApp ids (628...@c.us) and SMS gateways expect.
+// Numbers that are not canonical yet are normalized first when possible.
+function toDigits(phone) {
+  if (!phone) return null;
+  return (normalize(phone) || String(phone)).replace(/\D/g, '');
+}
+
+// Digits to match against stored numbers when a search term looks like a phone number,
+// so "0812", "+62 812" and "812" all find +62812...; null for other search terms
+function searchDigits(term) {
+  const text = String(term || '').trim();
+  if (!/^\+?[\d\s().-]+$/.test(text)) return null;
+
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 3) return null;
+  return digits.startsWith('0') ? COUNTRY_CODE + digits.slice(1) : digits;
+}
+
+module.exports = {
+  parse,
+  normalize,
+  toDigits,
+  searchDigits
+};
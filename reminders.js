@@ -0,0 +1,175 @@
+const { userOps, customerOps, settingsOps, reminderOps, validationError } = require('./database');
+const notifier = require('./notifier');
+const templates = require('./templates');
+const { toDateString } = require('./format');
+
+// Reminders are sent at a configured time of day, so check more often than hourly
+const SCHEDULER_INTERVAL = 5 * 60 * 1000;
+// Days missed while the server was down are caught up, but only this far back
+const MAX_CATCH_UP_DAYS = 30;
+const SEND_DELAY = 1500;
+
+let schedulerTimer = null;
+let running = false;
+let runCallback = null;
+
+function setCallback(cb) {
+  runCallback = cb;
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+// Whether today's reminder time ("HH:MM") has passed
+function isReminderTime(now) {
+  const [hour, minute] = (settingsOps.get('reminder_time') || '09:00').split(':').map(Number);
+  return now.getHours() > hour || (now.getHours() === hour && now.getMinutes() >= (minute || 0));
+}
+
+// Send a rule's reminders for the bills that reach its offset on `date`
+async function runRule(rule, date, source = 'scheduled', userId = null) {
+  const bills = reminderOps.getDueBills(rule, date);
+  const summary = { rule_id: rule.id, rule_nama: rule.nama, run_date: date, source, total: bills.length, sent: 0, failed: 0 };
+  summary.run_id = reminderOps.createRun(rule.id, date, source);
+  let waiting = 0;
+
+  try {
+    for (const bill of bills) {
+      const customer = customerOps.getById(bill.customer_id);
+      // Not counted as failed: the bill is sent when the day is retried with the channel back
+      if (!notifier.hasReadyChannel(customer)) {
+        waiting++;
+        continue;
+      }
+
+      const message = templates.render(rule.template, customer, { amount: bill.sisa, periode: bill.periode, jatuh_tempo: bill.jatuh_tempo });
+      const result = await notifier.sendBillingMessage(customer.id, message, userId, 'reminder');
+
+      reminderOps.logReminder({
+        rule_id: rule.id,
+        run_id: summary.run_id,
+        transaction_id: bill.id,
+        customer_id: customer.id,
+        status: result.success ? 'success' : 'failed',
+        error_message: result.error
+      });
+
+      if (result.success) {
+        summary.sent++;
+      } else {
+        summary.failed++;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, SEND_DELAY));
+    }
+
+    if (waiting > 0) {
+      throw new Error(`${waiting} tagihan menunggu channel notifikasi siap`);
+    }
+
+    reminderOps.finishRun(summary.run_id, summary);
+    summary.status = 'completed';
+  } catch (error) {
+    reminderOps.finishRun(summary.run_id, summary, 'failed', error.message);
+    summary.status = 'failed';
+    summary.error = error.message;
+  }
+
+  if (userId) {
+    userOps.logActivity(userId, 'REMINDER_RUN', `Jalankan pengingat ${rule.nama}: ${summary.sent} terkirim, ${summary.failed} gagal`);
+  }
+
+  console.log(`✅ Reminder run "${rule.nama}" ${date} (${source}): ${summary.sent} sent, ${summary.failed} failed`);
+
+  if (runCallback) {
+    runCallback(summary);
+  }
+
+  return summary;
+}
+
+// Run a rule now for today's bills, regardless of the schedule
+async function runNow(ruleId, userId = null) {
+  const rule = reminderOps.getRule(ruleId);
+  if (!rule) return null;
+
+  if (!notifier.hasReadyChannel()) {
+    throw validationError('Tidak ada channel notifikasi yang siap');
+  }
+  if (running) {
+    throw validationError('Pengingat sedang berjalan, coba lagi nanti');
+  }
+
+  running = true;
+  try {
+    return await runRule(rule, toDateString(new Date()), 'manual', userId);
+  } finally {
+    running = false;
+  }
+}
+
+// Days a rule still has to process, oldest first. A rule that never ran starts
+// today; otherwise every day since its first run without a completed run is
+// caught up, so a failed day is retried even after later days went through.
+function getPendingDates(rule, now) {
+  const today = toDateString(now);
+  const firstRun = reminderOps.getFirstRunDate(rule.id);
+  const earliest = addDays(today, -MAX_CATCH_UP_DAYS);
+
+  let date = firstRun || today;
+  if (date < earliest) date = earliest;
+  const completed = new Set(reminderOps.getCompletedRunDates(rule.id, date));
+
+  const dates = [];
+  for (; date < today; date = addDays(date, 1)) {
+    if (!completed.has(date)) dates.push(date);
+  }
+  if (date === today && !completed.has(today) && isReminderTime(now)) {
+    dates.push(today);
+  }
+  return dates;
+}
+
+async function checkSchedule() {
+  if (running) return;
+  // Days stay pending while nothing can be sent and are caught up once a channel is back
+  if (!notifier.hasReadyChannel()) return;
+
+  running = true;
+  try {
+    const now = new Date();
+    for (const rule of reminderOps.getActiveRules()) {
+      for (const date of getPendingDates(rule, now)) {
+        await runRule(rule, date);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduled reminder run failed:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+  reminderOps.failInterruptedRuns();
+  checkSchedule();
+  schedulerTimer = setInterval(checkSchedule, SCHEDULER_INTERVAL);
+}
+
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  runNow,
+  setCallback,
+  startScheduler,
+  stopScheduler
+};
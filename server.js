@@ -1,30 +1,102 @@
 const express = require('express');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const path = require('path');
 const http = require('http');
 
 // Import modules
-const { userOps, customerOps, transactionOps, settingsOps } = require('./database');
+const { userOps, sessionOps, twoFactorOps, roleOps, customerOps, transactionOps, settingsOps, messageOps, paymentOps, planOps, inventoryOps, reportOps, reminderOps, templateOps } = require('./database');
 const whatsapp = require('./whatsapp');
+const billing = require('./billing');
+const mikrotik = require('./mikrotik');
+const exporter = require('./exporter');
+const importer = require('./importer');
+const documents = require('./documents');
+const reminders = require('./reminders');
+const broadcastJobs = require('./broadcast');
+const templates = require('./templates');
+const notifier = require('./notifier');
+const backup = require('./backup');
+const snapshots = require('./snapshots');
+const auth = require('./auth');
+const { PERMISSIONS, ADMIN_ROLE } = require('./permissions');
 
 const app = express();
 const server = http.createServer(app);
 
 // Configuration
-const JWT_SECRET = process.env.JWT_SECRET || 'pppoe_billing_secret_key_2024';
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY so req.ip is the client and not the proxy
+// (login lockout counts failures per IP)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Backups are restored as a single JSON body
+app.use(express.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Store connected clients for real-time updates (SSE)
+// Store connected clients for real-time updates (SSE): { res, user }
 const clients = new Set();
 
-// SSE endpoint for real-time updates
+// Permission a client needs to receive each event type; other events are not sent
+const EVENT_PERMISSIONS = {
+  wa_status: 'whatsapp.read',
+  wa_qr: 'whatsapp.manage',
+  broadcast_progress: 'whatsapp.broadcast',
+  billing_run: 'billing.read',
+  reminder_run: 'reminders.read',
+  transaction_updated: 'transactions.read',
+  customer_updated: 'customers.read',
+  customers_imported: 'customers.read',
+  plan_updated: 'customers.read',
+  mikrotik_update: 'customers.read',
+  inventory_updated: 'inventory.read',
+  stock_low: 'inventory.read',
+  settings_updated: 'settings.read',
+  backup_created: 'backup.manage',
+  backup_failed: 'backup.manage',
+  data_restored: 'backup.manage'
+};
+
+// Write an event to a client if its user may see it. Clients whose session ended
+// or whose user was deactivated are disconnected instead.
+function sendEvent(client, data) {
+  const user = userOps.getById(client.user.id);
+  if (!user || !user.aktif || !sessionOps.isActive(client.user.sid)) {
+    clients.delete(client);
+    client.res.end();
+    return;
+  }
+  
+  const permission = EVENT_PERMISSIONS[data.type];
+  if (permission && roleOps.hasPermission(user.role, permission)) {
+    client.res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+// SSE endpoint for real-time updates. EventSource cannot send headers, so the
+// access token may also be given as ?token=
 app.get('/api/events', (req, res) => {
+  const authHeader = req.headers.authorization;
+  const token = req.query.token || (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Token diperlukan' });
+  }
+  
+  let user;
+  try {
+    user = auth.verifyAccessToken(String(token));
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+  if (user.must_change_password || user.two_factor_setup_required) {
+    return res.status(403).json({ success: false, error: 'Akses ditolak' });
+  }
+  
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
@@ -32,25 +104,21 @@ app.get('/api/events', (req, res) => {
   // Send initial connection message
   res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
   
-  // Add to clients set
-  clients.add(res);
+  const client = { res, user };
+  clients.add(client);
   
   // Send WhatsApp status
-  const waStatus = whatsapp.getStatus();
-  res.write(`data: ${JSON.stringify({ type: 'wa_status', data: waStatus })}\n\n`);
+  sendEvent(client, { type: 'wa_status', data: whatsapp.getStatus() });
   
   // Cleanup on close
   req.on('close', () => {
-    clients.delete(res);
+    clients.delete(client);
   });
 });
 
-// Broadcast to all connected clients
+// Broadcast to all connected clients allowed to see the event
 function broadcast(data) {
-  const message = `data: ${JSON.stringify(data)}\n\n`;
-  clients.forEach(client => {
-    client.write(message);
-  });
+  clients.forEach(client => sendEvent(client, data));
 }
 
 // Set WhatsApp callbacks for real-time updates
@@ -59,253 +127,1344 @@ whatsapp.setCallbacks(
   (qrData) => broadcast({ type: 'wa_qr', data: qrData })
 );
 
+// Notify clients after every billing run
+billing.setCallback((summary) => {
+  broadcast({ type: 'billing_run', data: summary });
+  if (summary.created > 0) broadcast({ type: 'transaction_updated' });
+});
+
+// Push broadcast job progress after every message
+broadcastJobs.setCallback((job) => {
+  broadcast({ type: 'broadcast_progress', data: job });
+});
+
+// Notify clients after every reminder run
+reminders.setCallback((summary) => {
+  broadcast({ type: 'reminder_run', data: summary });
+});
+
+// Scheduled and manual database snapshots; failures are also sent to admins on WhatsApp
+snapshots.setCallback((event) => {
+  broadcast({ type: event.status === 'failed' ? 'backup_failed' : 'backup_created', data: event });
+});
+
+// Isolation changes on the router affect the customer list
+mikrotik.setCallback((summary) => {
+  broadcast({ type: 'mikrotik_update', data: summary });
+  broadcast({ type: 'customer_updated' });
+});
+
+// Push the gas stock level, with an alert when it drops to the minimum
+function broadcastGasStock() {
+  const stock = inventoryOps.getStock();
+  broadcast({ type: 'inventory_updated', data: stock });
+  if (stock.isi <= stock.minimum) {
+    broadcast({ type: 'stock_low', data: stock });
+  }
+}
+
+// Paging and sorting parameters shared by the list endpoints (?sort=&order=&limit=&offset=)
+function listOptions(query, defaultLimit) {
+  return {
+    sort: query.sort,
+    order: query.order,
+    limit: query.limit !== undefined ? query.limit : defaultLimit,
+    offset: query.offset
+  };
+}
+
+// Filters of the list endpoints, shared with the matching exports
+function customerFilter(query) {
+  const { tipe, customer_tipe, search, plan_id, from, to } = query;
+  return { tipe: tipe || customer_tipe, search: search || undefined, plan_id, from, to };
+}
+
+function transactionFilter(query) {
+  const { status, jenis, kategori, customer_tipe, customer_id, periode, overdue, from, to } = query;
+  return {
+    status, jenis, kategori, customer_tipe, customer_id, periode, from, to,
+    overdue: overdue === '1' || overdue === 'true'
+  };
+}
+
+function messageLogFilter(query) {
+  const { status, message_type, channel, customer_id, customer_tipe, from, to } = query;
+  return { status, message_type, channel, customer_id, customer_tipe, from, to };
+}
+
+function activityFilter(query) {
+  const { user_id, action, from, to } = query;
+  return { user_id, action, from, to };
+}
+
+// Re-enable an isolated PPPoE account after a payment, without blocking the response
+function restoreAfterPayment(customerId, userId) {
+  mikrotik.restoreIfCleared(customerId, userId).catch(error => {
+    console.error('MikroTik restore failed:', error.message);
+  });
+}
+
+// ==================== MIDDLEWARE ====================
+
+// Verify the access token. The user and role are read from the database on every request,
+// so logout, role changes and deactivation apply at once (see auth.js).
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ success: false, error: 'Token diperlukan' });
+  }
+  
+  try {
+    req.user = auth.verifyAccessToken(authHeader.split(' ')[1]);
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+// Check the user's current role for a permission (see permissions.js).
+// Users that still have to change their default password or enroll in 2FA get nothing else.
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.user.must_change_password) {
+    return res.status(403).json({ success: false, error: 'Ganti password terlebih dahulu', code: 'PASSWORD_CHANGE_REQUIRED' });
+  }
+  if (req.user.two_factor_setup_required) {
+    return res.status(403).json({ success: false, error: 'Aktifkan 2FA terlebih dahulu', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+  }
+  if (!roleOps.hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ success: false, error: `Akses ditolak. Butuh izin ${permission}.` });
+  }
+  next();
+};
+
 // ==================== AUTHENTICATION ====================
 
+// Where a session was started from, shown in the session list
+function clientInfo(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+function userPayload(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    nama_lengkap: user.nama_lengkap,
+    role: user.role,
+    permissions: roleOps.getPermissions(user.role),
+    must_change_password: !!user.must_change_password,
+    two_factor_enabled: !!user.totp_enabled,
+    two_factor_setup_required: auth.twoFactorSetupRequired(user)
+  };
+}
+
 // Login
 app.post('/api/auth/login', (req, res) => {
   const { username, password } = req.body;
   
-  const user = userOps.getByUsername(username);
-  
-  if (!user) {
-    return res.status(401).json({ success: false, error: 'Username tidak ditemukan' });
+  try {
+    const user = auth.checkCredentials(username, password, req.ip);
+    
+    // Accounts with 2FA continue at /api/auth/login/2fa with the challenge token
+    if (user.totp_enabled) {
+      return res.json({ success: true, two_factor_required: true, challenge_token: auth.twoFactorChallenge(user) });
+    }
+    
+    const tokens = auth.startSession(user, clientInfo(req));
+    userOps.logActivity(user.id, 'LOGIN', 'User login ke sistem', req.ip);
+    
+    res.json({ success: true, ...tokens, user: userPayload(user) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
-  
-  if (!user.aktif) {
-    return res.status(401).json({ success: false, error: 'Akun tidak aktif' });
+});
+
+// Second login step for accounts with 2FA: { challenge_token, code } or { challenge_token, recovery_code }
+app.post('/api/auth/login/2fa', (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+    const { user, method } = auth.verifyTwoFactorLogin(challenge_token, { code, recovery_code }, req.ip);
+    
+    const tokens = auth.startSession(user, clientInfo(req));
+    userOps.logActivity(user.id, 'LOGIN', `User login ke sistem (${method === 'recovery' ? 'kode pemulihan' : '2FA'})`, req.ip);
+    
+    const result = { success: true, ...tokens, user: userPayload(user) };
+    if (method === 'recovery') {
+      result.recovery_codes_left = twoFactorOps.remainingRecoveryCodes(user.id);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
-  
-  if (!userOps.verifyPassword(user, password)) {
-    return res.status(401).json({ success: false, error: 'Password salah' });
+});
+
+// Exchange a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', (req, res) => {
+  try {
+    const tokens = auth.refreshSession(req.body.refresh_token);
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
-  
-  // Generate token
-  const token = jwt.sign(
-    { id: user.id, username: user.username, role: user.role },
-    JWT_SECRET,
-    { expiresIn: '24h' }
-  );
-  
-  userOps.logActivity(user.id, 'LOGIN', 'User login ke sistem');
-  
-  res.json({
-    success: true,
-    token,
-    user: {
-      id: user.id,
-      username: user.username,
-      nama_lengkap: user.nama_lengkap,
-      role: user.role
-    }
-  });
 });
 
 // Verify token
-app.get('/api/auth/verify', (req, res) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, error: 'Token tidak ditemukan' });
-  }
-  
-  const token = authHeader.split(' ')[1];
-  
+app.get('/api/auth/verify', authenticateToken, (req, res) => {
+  res.json({ success: true, user: userPayload(userOps.getById(req.user.id)) });
+});
+
+// Change the own password; also lifts the forced change of default accounts.
+// Other sessions of the user are ended, the current one stays logged in.
+app.post('/api/auth/change-password', authenticateToken, (req, res) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = userOps.getById(decoded.id);
+    const { current_password, new_password } = req.body;
     
-    if (!user || !user.aktif) {
-      return res.status(401).json({ success: false, error: 'User tidak valid' });
+    if (!current_password || !new_password) {
+      return res.status(400).json({ success: false, error: 'Password lama dan password baru diperlukan' });
     }
     
+    if (!userOps.verifyPassword(userOps.getByUsername(req.user.username), current_password)) {
+      return res.status(400).json({ success: false, error: 'Password lama salah' });
+    }
+    
+    if (new_password === current_password) {
+      return res.status(400).json({ success: false, error: 'Password baru harus berbeda dari password lama' });
+    }
+    
+    const user = userOps.update(req.user.id, { password: new_password });
+    sessionOps.revokeAll(user.id, 'password_changed', req.user.sid);
+    userOps.logActivity(user.id, 'CHANGE_PASSWORD', 'User mengganti password', req.ip);
+    
+    res.json({ success: true, user: userPayload(user) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+// Every user manages their own 2FA; these routes stay open while enrollment is required
+
+app.get('/api/auth/2fa', authenticateToken, (req, res) => {
+  try {
+    const user = userOps.getById(req.user.id);
     res.json({
       success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        nama_lengkap: user.nama_lengkap,
-        role: user.role
+      data: {
+        enabled: !!user.totp_enabled,
+        required: auth.twoFactorRequired(user),
+        recovery_codes_left: twoFactorOps.remainingRecoveryCodes(user.id)
       }
     });
   } catch (error) {
-    res.status(401).json({ success: false, error: 'Token expired' });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== MIDDLEWARE ====================
+// Start enrollment: returns the secret and a QR code for the authenticator app
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const data = await auth.setupTwoFactor(userOps.getById(req.user.id));
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-// Verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, error: 'Token diperlukan' });
+// Confirm enrollment with a code from the app; the recovery codes are only shown here
+app.post('/api/auth/2fa/enable', authenticateToken, (req, res) => {
+  try {
+    const recoveryCodes = auth.enableTwoFactor(req.user.id, req.body.code);
+    userOps.logActivity(req.user.id, 'ENABLE_2FA', 'Mengaktifkan 2FA', req.ip);
+    
+    res.json({ success: true, data: { recovery_codes: recoveryCodes } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
-  
-  const token = authHeader.split(' ')[1];
-  
+});
+
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, (req, res) => {
+  try {
+    const recoveryCodes = auth.regenerateRecoveryCodes(req.user, req.body.code, req.ip);
+    userOps.logActivity(req.user.id, 'REGENERATE_RECOVERY_CODES', 'Membuat ulang kode pemulihan 2FA', req.ip);
+    
+    res.json({ success: true, data: { recovery_codes: recoveryCodes } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Turn 2FA off with the password and a code (or recovery code)
+app.post('/api/auth/2fa/disable', authenticateToken, (req, res) => {
+  try {
+    auth.disableTwoFactor(req.user, req.body, req.ip);
+    userOps.logActivity(req.user.id, 'DISABLE_2FA', 'Menonaktifkan 2FA', req.ip);
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// End the current session
+app.post('/api/auth/logout', authenticateToken, (req, res) => {
+  try {
+    sessionOps.revoke(req.user.sid, 'logout');
+    userOps.logActivity(req.user.id, 'LOGOUT', 'User logout dari sistem', req.ip);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// End every session of the current user, on all devices
+app.post('/api/auth/logout-all', authenticateToken, (req, res) => {
+  try {
+    const count = sessionOps.revokeAll(req.user.id, 'logout_all');
+    userOps.logActivity(req.user.id, 'LOGOUT_ALL', `Logout dari semua perangkat (${count} sesi)`, req.ip);
+    res.json({ success: true, data: { revoked: count } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== USERS API ====================
+
+// Only admins can make someone admin or change an admin account
+function canManageRole(req, ...roles) {
+  return req.user.role === ADMIN_ROLE || !roles.includes(ADMIN_ROLE);
+}
+
+app.get('/api/users', authenticateToken, requirePermission('users.manage'), (req, res) => {
+  try {
+    const users = userOps.getAll();
+    res.json({ success: true, data: users });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/users', authenticateToken, requirePermission('users.manage'), (req, res) => {
+  try {
+    const { username, password, nama_lengkap, role } = req.body;
+    
+    if (!username || !password || !nama_lengkap) {
+      return res.status(400).json({ success: false, error: 'Data tidak lengkap' });
+    }
+    
+    // Check if username exists
+    if (userOps.getByUsername(username)) {
+      return res.status(400).json({ success: false, error: 'Username sudah digunakan' });
+    }
+    
+    if (!canManageRole(req, role)) {
+      return res.status(403).json({ success: false, error: 'Hanya admin yang dapat membuat user admin' });
+    }
+    
+    const user = userOps.create({ username, password, nama_lengkap, role });
+    userOps.logActivity(req.user.id, 'CREATE_USER', `Menambah user: ${username} (${user.role})`);
+    
+    res.json({ success: true, data: user });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/users/:id', authenticateToken, requirePermission('users.manage'), (req, res) => {
+  try {
+    const { nama_lengkap, role, aktif, password } = req.body;
+    
+    const target = userOps.getById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User tidak ditemukan' });
+    }
+    
+    if (!canManageRole(req, role, target.role)) {
+      return res.status(403).json({ success: false, error: 'Hanya admin yang dapat mengubah user admin' });
+    }
+    
+    // Keeps at least the current user able to manage users
+    if (target.id === req.user.id && ((role !== undefined && role !== target.role) || (aktif !== undefined && !aktif))) {
+      return res.status(400).json({ success: false, error: 'Tidak dapat mengubah role atau menonaktifkan diri sendiri' });
+    }
+    
+    const user = userOps.update(req.params.id, { nama_lengkap, role, aktif, password });
+    
+    // A deactivated user is logged out everywhere; a new password logs out other devices
+    if (!user.aktif) {
+      sessionOps.revokeAll(user.id, 'deactivated');
+    } else if (password) {
+      sessionOps.revokeAll(user.id, 'password_changed', user.id === req.user.id ? req.user.sid : 0);
+    }
+    
+    userOps.logActivity(req.user.id, 'UPDATE_USER', `Update user: ${user.username}${user.role !== target.role ? ` (role ${target.role} → ${user.role})` : ''}`);
+    
+    res.json({ success: true, data: user });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', authenticateToken, requirePermission('users.manage'), (req, res) => {
+  try {
+    if (req.params.id == req.user.id) {
+      return res.status(400).json({ success: false, error: 'Tidak dapat menghapus diri sendiri' });
+    }
+    
+    const targetUser = userOps.getById(req.params.id);
+    if (!targetUser) {
+      return res.status(404).json({ success: false, error: 'User tidak ditemukan' });
+    }
+    
+    if (!canManageRole(req, targetUser.role)) {
+      return res.status(403).json({ success: false, error: 'Hanya admin yang dapat menghapus user admin' });
+    }
+    
+    userOps.delete(req.params.id);
+    userOps.logActivity(req.user.id, 'DELETE_USER', `Hapus user: ${targetUser.username}`);
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove 2FA from another user's account, e.g. after losing the phone. They log in
+// with the password only (or have to enroll again when 2FA is required for their role).
+app.delete('/api/users/:id/2fa', authenticateToken, requirePermission('users.manage'), (req, res) => {
+  try {
+    const target = userOps.getById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User tidak ditemukan' });
+    }
+    
+    if (target.id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'Gunakan menu 2FA untuk akun sendiri' });
+    }
+    
+    if (!canManageRole(req, target.role)) {
+      return res.status(403).json({ success: false, error: 'Hanya admin yang dapat mereset 2FA user admin' });
+    }
+    
+    twoFactorOps.disable(target.id);
+    sessionOps.revokeAll(target.id, '2fa_reset');
+    userOps.logActivity(req.user.id, 'RESET_2FA', `Reset 2FA user: ${target.username}`);
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Active sessions of a user (devices where they are logged in)
+app.get('/api/users/:id/sessions', authenticateToken, requirePermission('users.manage'), (req, res) => {
+  try {
+    const target = userOps.getById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User tidak ditemukan' });
+    }
+    
+    if (!canManageRole(req, target.role)) {
+      return res.status(403).json({ success: false, error: 'Hanya admin yang dapat melihat sesi user admin' });
+    }
+    
+    const sessions = sessionOps.getActiveByUser(target.id).map(session => ({
+      ...session,
+      current: session.id === req.user.sid
+    }));
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Log a user out of every device
+app.delete('/api/users/:id/sessions', authenticateToken, requirePermission('users.manage'), (req, res) => {
+  try {
+    const target = userOps.getById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User tidak ditemukan' });
+    }
+    
+    if (!canManageRole(req, target.role)) {
+      return res.status(403).json({ success: false, error: 'Hanya admin yang dapat mengakhiri sesi user admin' });
+    }
+    
+    const count = sessionOps.revokeAll(target.id, 'revoked_by_admin');
+    userOps.logActivity(req.user.id, 'REVOKE_SESSIONS', `Akhiri semua sesi user: ${target.username} (${count} sesi)`);
+    
+    res.json({ success: true, data: { revoked: count } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// End a single session of a user
+app.delete('/api/users/:id/sessions/:sessionId', authenticateToken, requirePermission('users.manage'), (req, res) => {
+  try {
+    const target = userOps.getById(req.params.id);
+    const session = sessionOps.getById(req.params.sessionId);
+    if (!target || !session || session.user_id !== target.id) {
+      return res.status(404).json({ success: false, error: 'Sesi tidak ditemukan' });
+    }
+    
+    if (!canManageRole(req, target.role)) {
+      return res.status(403).json({ success: false, error: 'Hanya admin yang dapat mengakhiri sesi user admin' });
+    }
+    
+    sessionOps.revoke(session.id, 'revoked_by_admin');
+    userOps.logActivity(req.user.id, 'REVOKE_SESSION', `Akhiri sesi #${session.id} user: ${target.username}`);
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== ROLES API ====================
+
+app.get('/api/roles', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  try {
+    res.json({ success: true, data: roleOps.getAll() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Every permission that can be given to a role, with its label
+app.get('/api/roles/permissions', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  res.json({ success: true, data: Object.entries(PERMISSIONS).map(([key, label]) => ({ key, label })) });
+});
+
+app.post('/api/roles', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  try {
+    const { nama, label, deskripsi, permissions } = req.body;
+    
+    if (!nama) {
+      return res.status(400).json({ success: false, error: 'Nama role diperlukan' });
+    }
+    
+    const role = roleOps.create({ nama, label, deskripsi, permissions }, req.user.id);
+    res.json({ success: true, data: role });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/roles/:nama', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  try {
+    const { label, deskripsi, permissions } = req.body;
+    const role = roleOps.update(req.params.nama, { label, deskripsi, permissions }, req.user.id);
+    
+    if (!role) {
+      return res.status(404).json({ success: false, error: 'Role tidak ditemukan' });
+    }
+    
+    res.json({ success: true, data: role });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/roles/:nama', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  try {
+    if (!roleOps.delete(req.params.nama, req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Role tidak ditemukan' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== CUSTOMERS API ====================
+
+app.get('/api/customers', authenticateToken, requirePermission('customers.read'), (req, res) => {
+  try {
+    const page = customerOps.getPage(customerFilter(req.query), listOptions(req.query));
+    res.json({ success: true, ...page });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/customers/with-pending/debt', authenticateToken, requirePermission('customers.read'), (req, res) => {
+  try {
+    const customers = customerOps.getWithPending();
+    res.json({ success: true, data: customers });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/customers/:id', authenticateToken, requirePermission('customers.read'), (req, res) => {
+  try {
+    const customer = customerOps.getById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ success: false, error: 'Customer tidak ditemukan' });
+    }
+    res.json({ success: true, data: customer });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/customers/:id/plan-history', authenticateToken, requirePermission('customers.read'), (req, res) => {
+  try {
+    const history = planOps.getHistory(req.params.id);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/customers', authenticateToken, requirePermission('customers.write'), (req, res) => {
+  try {
+    const { nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat, plan_id, harga_khusus, email, channel, channel_fallback } = req.body;
+    
+    if (!nama || !tipe || !whatsapp) {
+      return res.status(400).json({ success: false, error: 'Data tidak lengkap' });
+    }
+    
+    if (plan_id && !planOps.getById(plan_id)) {
+      return res.status(400).json({ success: false, error: 'Paket tidak ditemukan' });
+    }
+    
+    if ([channel, channel_fallback].some(c => c && !notifier.CHANNELS.includes(c))) {
+      return res.status(400).json({ success: false, error: 'Channel notifikasi tidak valid' });
+    }
+    
+    const customer = customerOps.create({ nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat, plan_id, harga_khusus, email, channel, channel_fallback }, req.user.id);
+    broadcast({ type: 'customer_updated', data: customer });
+    
+    res.json({ success: true, data: customer });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// CSV import, see importer.js. Without dry_run the rows are created only when all are valid.
+app.post('/api/customers/import', authenticateToken, requirePermission('customers.import'), (req, res) => {
+  try {
+    const { csv, mapping } = req.body;
+    const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true' || req.body.dry_run === true;
+    
+    if (mapping !== undefined && (typeof mapping !== 'object' || Array.isArray(mapping) || mapping === null)) {
+      return res.status(400).json({ success: false, error: 'Mapping harus berupa object { kolom: header CSV }' });
+    }
+    
+    const report = importer.importCustomers(csv, { mapping, dryRun, userId: req.user.id });
+    
+    if (!dryRun && report.created === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${report.total - report.valid} dari ${report.total} baris tidak valid atau duplikat, tidak ada customer yang dibuat`,
+        data: report
+      });
+    }
+    
+    if (report.created > 0) {
+      broadcast({ type: 'customers_imported', data: { count: report.created } });
+    }
+    
+    res.json({
+      success: true,
+      message: dryRun ? 'Pratinjau import, belum ada customer yang dibuat' : `${report.created} customer berhasil diimport`,
+      data: report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/customers/:id', authenticateToken, requirePermission('customers.write'), (req, res) => {
+  try {
+    const { nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat, plan_id, harga_khusus, email, channel, channel_fallback } = req.body;
+    
+    if (plan_id && !planOps.getById(plan_id)) {
+      return res.status(400).json({ success: false, error: 'Paket tidak ditemukan' });
+    }
+    
+    if ([channel, channel_fallback].some(c => c && !notifier.CHANNELS.includes(c))) {
+      return res.status(400).json({ success: false, error: 'Channel notifikasi tidak valid' });
+    }
+    
+    const customer = customerOps.update(req.params.id, { nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat, plan_id, harga_khusus, email, channel, channel_fallback }, req.user.id);
+    
+    if (!customer) {
+      return res.status(404).json({ success: false, error: 'Customer tidak ditemukan' });
+    }
+    
+    broadcast({ type: 'customer_updated', data: customer });
+    
+    res.json({ success: true, data: customer });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/customers/:id', authenticateToken, requirePermission('customers.delete'), (req, res) => {
+  try {
+    const result = customerOps.delete(req.params.id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Customer tidak ditemukan' });
+    }
+    
+    broadcast({ type: 'customer_updated' });
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== PLANS API ====================
+
+app.get('/api/plans', authenticateToken, requirePermission('customers.read'), (req, res) => {
+  try {
+    const aktif = req.query.aktif !== undefined ? req.query.aktif === '1' : undefined;
+    const plans = planOps.getAll({ aktif });
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/plans/:id', authenticateToken, requirePermission('customers.read'), (req, res) => {
+  try {
+    const plan = planOps.getById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ success: false, error: 'Paket tidak ditemukan' });
+    }
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/plans', authenticateToken, requirePermission('plans.write'), (req, res) => {
+  try {
+    const { nama, kecepatan, harga, profile, deskripsi } = req.body;
+    
+    if (!nama || harga === undefined || harga === '') {
+      return res.status(400).json({ success: false, error: 'Data tidak lengkap' });
+    }
+    
+    const plan = planOps.create({ nama, kecepatan, harga, profile, deskripsi }, req.user.id);
+    broadcast({ type: 'plan_updated', data: plan });
+    
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/plans/:id', authenticateToken, requirePermission('plans.write'), (req, res) => {
+  try {
+    const { nama, kecepatan, harga, profile, deskripsi, aktif } = req.body;
+    const plan = planOps.update(req.params.id, { nama, kecepatan, harga, profile, deskripsi, aktif }, req.user.id);
+    
+    if (!plan) {
+      return res.status(404).json({ success: false, error: 'Paket tidak ditemukan' });
+    }
+    
+    broadcast({ type: 'plan_updated', data: plan });
+    
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/plans/:id', authenticateToken, requirePermission('plans.write'), (req, res) => {
+  try {
+    const result = planOps.delete(req.params.id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Paket tidak ditemukan' });
+    }
+    
+    broadcast({ type: 'plan_updated' });
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== TRANSACTIONS API ====================
+
+app.get('/api/transactions', authenticateToken, requirePermission('transactions.read'), (req, res) => {
+  try {
+    const page = transactionOps.getPage(transactionFilter(req.query), listOptions(req.query));
+    res.json({ success: true, ...page });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/transactions/stats', authenticateToken, requirePermission('transactions.read'), (req, res) => {
+  try {
+    const stats = transactionOps.getStats();
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/transactions/monthly', authenticateToken, requirePermission('transactions.read'), (req, res) => {
+  try {
+    const data = transactionOps.getMonthlyData();
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/transactions/customer/:id/pending', authenticateToken, requirePermission('transactions.read'), (req, res) => {
+  try {
+    const transactions = transactionOps.getPendingByCustomer(req.params.id);
+    const total = transactions.reduce((sum, t) => sum + t.sisa, 0);
+    res.json({ success: true, data: transactions, total });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Printable invoice / receipt (format=html|pdf)
+app.get('/api/transactions/:id/:document(invoice|receipt)', authenticateToken, requirePermission('transactions.read'), async (req, res) => {
+  try {
+    const format = req.query.format === 'pdf' ? 'pdf' : 'html';
+    const result = await documents.render(req.params.document, req.params.id, format);
+    
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Transaksi tidak ditemukan' });
+    }
+    
+    const disposition = req.query.download === '1' || format === 'pdf' ? 'attachment' : 'inline';
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${result.filename}"`);
+    res.send(result.content);
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Send the invoice or receipt PDF to the customer over WhatsApp
+app.post('/api/transactions/:id/send-document', authenticateToken, requirePermission('whatsapp.send'), async (req, res) => {
+  try {
+    const type = req.body.document === 'receipt' ? 'receipt' : 'invoice';
+    const result = await documents.render(type, req.params.id, 'pdf');
+    
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Transaksi tidak ditemukan' });
+    }
+    
+    const transaction = transactionOps.getById(req.params.id);
+    if (!transaction.customer_id) {
+      return res.status(400).json({ success: false, error: 'Transaksi tidak terkait customer' });
+    }
+    
+    const caption = req.body.caption || `${result.doc.title} ${result.doc.number}`;
+    const sendResult = await whatsapp.sendDocument(
+      transaction.customer_id,
+      { mimetype: result.contentType, data: result.content, filename: result.filename },
+      caption,
+      req.user.id,
+      type
+    );
+    res.json(sendResult);
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/transactions', authenticateToken, requirePermission('transactions.write'), (req, res) => {
+  try {
+    const { customer_id, customer_nama, customer_tipe, kategori, jumlah, jenis, status, deskripsi, periode, jatuh_tempo } = req.body;
+    
+    if (!customer_id || !kategori || !jumlah || !jenis) {
+      return res.status(400).json({ success: false, error: 'Data tidak lengkap' });
+    }
+    
+    if (periode && !billing.isValidPeriod(periode)) {
+      return res.status(400).json({ success: false, error: 'Format periode tidak valid (YYYY-MM)' });
+    }
+    
+    if (jatuh_tempo && !/^\d{4}-\d{2}-\d{2}$/.test(jatuh_tempo)) {
+      return res.status(400).json({ success: false, error: 'Format jatuh tempo tidak valid (YYYY-MM-DD)' });
+    }
+    
+    const data = {
+      customer_id, customer_nama, customer_tipe, kategori,
+      jumlah, jenis, status, deskripsi, periode, jatuh_tempo
+    };
+    
+    // Every gas sale takes cylinders out of stock, paid at once (pemasukan) or billed (pengeluaran);
+    // qty defaults to jumlah / price_gas. Payments of a bill go through /api/payments, not here.
+    let transaction;
+    if (kategori === 'gas') {
+      const priceGas = parseInt(settingsOps.get('price_gas')) || 0;
+      const qty = parseInt(req.body.qty) || Math.max(1, priceGas ? Math.round(jumlah / priceGas) : 1);
+      transaction = inventoryOps.createSale(data, qty, req.user.id);
+      broadcastGasStock();
+    } else {
+      transaction = transactionOps.create(data, req.user.id);
+    }
+    
+    broadcast({ type: 'transaction_updated', data: transaction });
+    
+    res.json({ success: true, data: transaction });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/transactions/:id/mark-lunas', authenticateToken, requirePermission('payments.write'), (req, res) => {
+  try {
+    const transaction = transactionOps.getById(req.params.id);
+    const result = transactionOps.markAsLunas(req.params.id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Transaksi tidak ditemukan' });
+    }
+    
+    broadcast({ type: 'transaction_updated' });
+    restoreAfterPayment(transaction.customer_id, req.user.id);
+    
+    res.json({ success: true, message: 'Transaksi ditandai lunas' });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/transactions/:id', authenticateToken, requirePermission('transactions.delete'), (req, res) => {
+  try {
+    const result = transactionOps.delete(req.params.id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Transaksi tidak ditemukan' });
+    }
+    
+    broadcast({ type: 'transaction_updated' });
+    broadcast({ type: 'inventory_updated', data: inventoryOps.getStock() });
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== PAYMENTS API ====================
+
+app.get('/api/payments', authenticateToken, requirePermission('payments.read'), (req, res) => {
+  try {
+    const { customer_id, status, limit } = req.query;
+    const payments = paymentOps.getAll({ customer_id, status, limit: limit ? parseInt(limit) : undefined });
+    res.json({ success: true, data: payments });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/payments/:id', authenticateToken, requirePermission('payments.read'), (req, res) => {
+  try {
+    const payment = paymentOps.getById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Pembayaran tidak ditemukan' });
+    }
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/payments', authenticateToken, requirePermission('payments.write'), (req, res) => {
+  try {
+    const { customer_id, jumlah, metode, referensi, catatan, transaction_ids } = req.body;
+    
+    if (!customer_id || !jumlah) {
+      return res.status(400).json({ success: false, error: 'Data tidak lengkap' });
+    }
+    
+    if (transaction_ids !== undefined && !Array.isArray(transaction_ids)) {
+      return res.status(400).json({ success: false, error: 'transaction_ids harus berupa array' });
+    }
+    
+    const payment = paymentOps.create({ customer_id, jumlah, metode, referensi, catatan, transaction_ids }, req.user.id);
+    broadcast({ type: 'transaction_updated' });
+    restoreAfterPayment(payment.customer_id, req.user.id);
+    
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/payments/:id/reverse', authenticateToken, requirePermission('payments.reverse'), (req, res) => {
+  try {
+    const payment = paymentOps.reverse(req.params.id, req.user.id, req.body.alasan);
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Pembayaran tidak ditemukan' });
+    }
+    
+    broadcast({ type: 'transaction_updated' });
+    
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== GAS INVENTORY API ====================
+
+app.get('/api/inventory', authenticateToken, requirePermission('inventory.read'), (req, res) => {
+  try {
+    res.json({ success: true, data: inventoryOps.getStock() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/inventory/movements', authenticateToken, requirePermission('inventory.read'), (req, res) => {
+  try {
+    const { tipe, limit } = req.query;
+    const movements = inventoryOps.getMovements({ tipe, limit: limit ? parseInt(limit) : undefined });
+    res.json({ success: true, data: movements });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/inventory/stock-card', authenticateToken, requirePermission('inventory.read'), (req, res) => {
+  try {
+    const today = new Date().toLocaleDateString('sv-SE');
+    const from = req.query.from || `${today.substring(0, 7)}-01`;
+    const to = req.query.to || today;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      return res.status(400).json({ success: false, error: 'Format tanggal tidak valid (YYYY-MM-DD)' });
+    }
+    
+    res.json({ success: true, data: inventoryOps.getStockCard(from, to) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/inventory/stock-in', authenticateToken, requirePermission('inventory.write'), (req, res) => {
+  try {
+    const { qty, harga_satuan, supplier, kosong_diserahkan, keterangan } = req.body;
+    const movement = inventoryOps.stockIn({ qty, harga_satuan, supplier, kosong_diserahkan, keterangan }, req.user.id);
+    
+    broadcast({ type: 'transaction_updated' });
+    broadcastGasStock();
+    
+    res.json({ success: true, data: movement });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/inventory/returns', authenticateToken, requirePermission('inventory.write'), (req, res) => {
+  try {
+    const { qty, customer_id, keterangan } = req.body;
+    const movement = inventoryOps.recordReturn({ qty, customer_id, keterangan }, req.user.id);
+    
+    broadcastGasStock();
+    
+    res.json({ success: true, data: movement });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== REPORTS API ====================
+
+app.get('/api/reports/aging', authenticateToken, requirePermission('reports.read'), (req, res) => {
+  try {
+    const rows = transactionOps.getAging();
+    const buckets = ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'days_90_plus', 'total_debt'];
+    const totals = {};
+    buckets.forEach(key => {
+      totals[key] = rows.reduce((sum, row) => sum + row[key], 0);
+    });
+    res.json({ success: true, data: rows, totals });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Income, expense and collection per day/week/month/year, optionally grouped by
+// kategori, customer_tipe or staff. Defaults to the current year up to today.
+app.get('/api/reports/financial', authenticateToken, requirePermission('reports.read'), (req, res) => {
+  try {
+    const today = new Date().toLocaleDateString('sv-SE');
+    const { period, group_by, compare } = req.query;
+    const report = reportOps.getFinancialReport({
+      from: req.query.from || `${today.slice(0, 4)}-01-01`,
+      to: req.query.to || today,
+      period: period || 'month',
+      group_by: group_by || null,
+      compare: compare === '1' || compare === 'true'
+    });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== BILLING API ====================
+
+app.get('/api/billing/runs', authenticateToken, requirePermission('billing.read'), (req, res) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    const limit = parseInt(req.query.limit) || 50;
+    const runs = billing.getRuns(limit);
+    res.json({ success: true, data: runs });
   } catch (error) {
-    res.status(401).json({ success: false, error: 'Token tidak valid' });
+    res.status(500).json({ success: false, error: error.message });
   }
-};
+});
 
-// Verify admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ success: false, error: 'Akses ditolak. Hanya admin yang dapat mengakses.' });
+app.post('/api/billing/run', authenticateToken, requirePermission('billing.run'), (req, res) => {
+  try {
+    const periode = req.body.periode || billing.getPeriod();
+    
+    if (!billing.isValidPeriod(periode)) {
+      return res.status(400).json({ success: false, error: 'Format periode tidak valid (YYYY-MM)' });
+    }
+    
+    const summary = billing.runBilling({ periode, userId: req.user.id, source: 'manual' });
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
-  next();
-};
+});
 
-// ==================== USERS API (Admin Only) ====================
+// ==================== REMINDERS API ====================
 
-app.get('/api/users', authenticateToken, requireAdmin, (req, res) => {
+app.get('/api/reminders/rules', authenticateToken, requirePermission('reminders.read'), (req, res) => {
   try {
-    const users = userOps.getAll();
-    res.json({ success: true, data: users });
+    const rules = reminderOps.getRules();
+    res.json({ success: true, data: rules });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/users', authenticateToken, requireAdmin, (req, res) => {
+app.post('/api/reminders/rules', authenticateToken, requirePermission('reminders.write'), (req, res) => {
   try {
-    const { username, password, nama_lengkap, role } = req.body;
+    const { nama, offset_hari, template, aktif } = req.body;
     
-    if (!username || !password || !nama_lengkap) {
+    if (!nama || !template || offset_hari === undefined || isNaN(parseInt(offset_hari))) {
       return res.status(400).json({ success: false, error: 'Data tidak lengkap' });
     }
     
-    // Check if username exists
-    if (userOps.getByUsername(username)) {
-      return res.status(400).json({ success: false, error: 'Username sudah digunakan' });
-    }
-    
-    const user = userOps.create({ username, password, nama_lengkap, role });
-    userOps.logActivity(req.user.id, 'CREATE_USER', `Menambah user: ${username}`);
-    
-    res.json({ success: true, data: user });
+    const rule = reminderOps.createRule({ nama, offset_hari, template, aktif }, req.user.id);
+    res.json({ success: true, data: rule });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.put('/api/users/:id', authenticateToken, requireAdmin, (req, res) => {
+app.put('/api/reminders/rules/:id', authenticateToken, requirePermission('reminders.write'), (req, res) => {
   try {
-    const { nama_lengkap, role, aktif, password } = req.body;
-    const user = userOps.update(req.params.id, { nama_lengkap, role, aktif, password });
+    const { nama, offset_hari, template, aktif } = req.body;
     
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'User tidak ditemukan' });
+    if (offset_hari !== undefined && isNaN(parseInt(offset_hari))) {
+      return res.status(400).json({ success: false, error: 'Offset hari tidak valid' });
     }
     
-    userOps.logActivity(req.user.id, 'UPDATE_USER', `Update user: ${user.username}`);
+    const rule = reminderOps.updateRule(req.params.id, { nama, offset_hari, template, aktif }, req.user.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Aturan pengingat tidak ditemukan' });
+    }
     
-    res.json({ success: true, data: user });
+    res.json({ success: true, data: rule });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/users/:id', authenticateToken, requireAdmin, (req, res) => {
+app.delete('/api/reminders/rules/:id', authenticateToken, requirePermission('reminders.write'), (req, res) => {
   try {
-    if (req.params.id == req.user.id) {
-      return res.status(400).json({ success: false, error: 'Tidak dapat menghapus diri sendiri' });
+    const result = reminderOps.deleteRule(req.params.id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Aturan pengingat tidak ditemukan' });
     }
     
-    const targetUser = userOps.getById(req.params.id);
-    if (!targetUser) {
-      return res.status(404).json({ success: false, error: 'User tidak ditemukan' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a rule's reminders for today right away
+app.post('/api/reminders/rules/:id/run', authenticateToken, requirePermission('reminders.write'), async (req, res) => {
+  try {
+    const summary = await reminders.runNow(req.params.id, req.user.id);
+    if (!summary) {
+      return res.status(404).json({ success: false, error: 'Aturan pengingat tidak ditemukan' });
     }
     
-    db.prepare('DELETE FROM users WHERE id = ?').run(req.params.id);
-    userOps.logActivity(req.user.id, 'DELETE_USER', `Hapus user: ${targetUser.username}`);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/reminders/runs', authenticateToken, requirePermission('reminders.read'), (req, res) => {
+  try {
+    const runs = reminderOps.getRuns({
+      rule_id: req.query.rule_id,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/reminders/runs/:id', authenticateToken, requirePermission('reminders.read'), (req, res) => {
+  try {
+    const run = reminderOps.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Riwayat pengingat tidak ditemukan' });
+    }
     
-    res.json({ success: true });
+    res.json({ success: true, data: run });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== CUSTOMERS API ====================
+// ==================== MIKROTIK API (Admin Only) ====================
 
-app.get('/api/customers', authenticateToken, (req, res) => {
+app.get('/api/mikrotik/status', authenticateToken, requirePermission('mikrotik.manage'), async (req, res) => {
   try {
-    const { tipe, search } = req.query;
-    const customers = customerOps.getAll({ tipe, search: search || undefined });
-    res.json({ success: true, data: customers });
+    const status = await mikrotik.getStatus();
+    res.json({ success: true, data: status });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/customers/with-pending/debt', authenticateToken, (req, res) => {
+app.post('/api/mikrotik/sync', authenticateToken, requirePermission('mikrotik.manage'), async (req, res) => {
   try {
-    const customers = customerOps.getWithPending();
-    res.json({ success: true, data: customers });
+    const summary = await mikrotik.syncSecrets(req.user.id);
+    res.json({ success: true, data: summary });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/customers/:id', authenticateToken, (req, res) => {
+app.post('/api/mikrotik/isolate', authenticateToken, requirePermission('mikrotik.manage'), async (req, res) => {
   try {
-    const customer = customerOps.getById(req.params.id);
+    const summary = await mikrotik.isolateOverdue(req.user.id);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/mikrotik/restore/:customerId', authenticateToken, requirePermission('mikrotik.manage'), async (req, res) => {
+  try {
+    const customer = customerOps.getById(req.params.customerId);
     if (!customer) {
       return res.status(404).json({ success: false, error: 'Customer tidak ditemukan' });
     }
-    res.json({ success: true, data: customer });
+    
+    if (!customer.username_pppoe) {
+      return res.status(400).json({ success: false, error: 'Customer tidak memiliki username PPPoE' });
+    }
+    
+    await mikrotik.restoreCustomer(customer, req.user.id);
+    res.json({ success: true, message: 'Akun PPPoE diaktifkan kembali' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/customers', authenticateToken, (req, res) => {
+// ==================== EXPORT API ====================
+
+app.get('/api/export/pppoe', authenticateToken, requirePermission('export.pppoe'), (req, res) => {
   try {
-    const { nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat } = req.body;
+    const format = req.query.format || 'mikrotik';
     
-    if (!nama || !tipe || !whatsapp) {
-      return res.status(400).json({ success: false, error: 'Data tidak lengkap' });
+    if (!Object.prototype.hasOwnProperty.call(exporter.PPPOE_FORMATS, format)) {
+      return res.status(400).json({ success: false, error: 'Format harus mikrotik, freeradius atau csv' });
     }
     
-    const customer = customerOps.create({ nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat }, req.user.id);
-    broadcast({ type: 'customer_updated', data: customer });
+    const flag = (value) => value === '1' || value === 'true';
+    const result = exporter.exportPppoe(format, {
+      activeOnly: flag(req.query.active_only),
+      usePlanProfile: flag(req.query.plan_profile),
+      profile: req.query.profile,
+      disableDebtors: flag(req.query.disable_debtors)
+    });
     
-    res.json({ success: true, data: customer });
+    userOps.logActivity(req.user.id, 'EXPORT_PPPOE', `Export ${result.count} akun PPPoE (${format})`);
+    
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.content);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.put('/api/customers/:id', authenticateToken, (req, res) => {
+// Transactions, customers, debtors and logs as CSV or XLSX, with the filters and
+// sorting of the matching list endpoint. Activity logs are admin only.
+const EXPORT_FILTERS = {
+  transactions: transactionFilter,
+  customers: customerFilter,
+  debtors: customerFilter,
+  'message-logs': messageLogFilter,
+  'activity-logs': activityFilter
+};
+
+app.get('/api/export/:type(transactions|customers|debtors|message-logs|activity-logs)', authenticateToken, requirePermission('export.data'), async (req, res) => {
   try {
-    const { nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat } = req.body;
-    const customer = customerOps.update(req.params.id, { nama, tipe, whatsapp, username_pppoe, password_pppoe, alamat }, req.user.id);
+    const { type } = req.params;
+    const format = req.query.format || 'csv';
     
-    if (!customer) {
-      return res.status(404).json({ success: false, error: 'Customer tidak ditemukan' });
+    if (type === 'activity-logs' && !roleOps.hasPermission(req.user.role, 'activity.read')) {
+      return res.status(403).json({ success: false, error: 'Akses ditolak. Butuh izin activity.read.' });
+    }
+    if (!Object.prototype.hasOwnProperty.call(exporter.DATA_FORMATS, format)) {
+      return res.status(400).json({ success: false, error: 'Format harus csv atau xlsx' });
     }
     
-    broadcast({ type: 'customer_updated', data: customer });
+    const { sort, order } = req.query;
+    const result = await exporter.streamData(type, format, EXPORT_FILTERS[type](req.query), { sort, order }, res);
     
-    res.json({ success: true, data: customer });
+    userOps.logActivity(req.user.id, 'EXPORT_DATA', `Export ${exporter.DATA_EXPORTS[type].label}: ${result.count} baris (${format})`);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export failed:', error.message);
+      return res.destroy(error);
+    }
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== SETTINGS API ====================
+
+app.get('/api/settings', authenticateToken, requirePermission('settings.read'), (req, res) => {
+  try {
+    const settings = settingsOps.getAll();
+    res.json({ success: true, data: settings });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/customers/:id', authenticateToken, (req, res) => {
+app.post('/api/settings', authenticateToken, requirePermission('settings.write'), (req, res) => {
   try {
-    const result = customerOps.delete(req.params.id, req.user.id);
-    if (!result) {
-      return res.status(404).json({ success: false, error: 'Customer tidak ditemukan' });
+    const { key, value } = req.body;
+    
+    if (!key || value === undefined) {
+      return res.status(400).json({ success: false, error: 'Key dan value diperlukan' });
     }
     
-    broadcast({ type: 'customer_updated' });
+    settingsOps.set(key, value);
+    broadcast({ type: 'settings_updated', key, value });
     
     res.json({ success: true });
   } catch (error) {
@@ -313,128 +1472,156 @@ app.delete('/api/customers/:id', authenticateToken, (req, res) => {
   }
 });
 
-// ==================== TRANSACTIONS API ====================
+// ==================== NOTIFICATIONS API ====================
 
-app.get('/api/transactions', authenticateToken, (req, res) => {
+app.get('/api/notifications/channels', authenticateToken, requirePermission('settings.read'), (req, res) => {
   try {
-    const { status, jenis, customer_id, limit } = req.query;
-    const transactions = transactionOps.getAll({ status, jenis, customer_id, limit: limit ? parseInt(limit) : undefined });
-    res.json({ success: true, data: transactions });
+    const channels = notifier.getChannelStatus();
+    res.json({ success: true, data: channels });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/transactions/stats', authenticateToken, (req, res) => {
+// Check a channel's configuration by sending to an arbitrary address
+app.post('/api/notifications/test', authenticateToken, requirePermission('notifications.test'), async (req, res) => {
   try {
-    const stats = transactionOps.getStats();
-    res.json({ success: true, data: stats });
+    const { channel, to, message } = req.body;
+    
+    if (!channel || !to) {
+      return res.status(400).json({ success: false, error: 'Channel dan tujuan diperlukan' });
+    }
+    
+    const sentTo = await notifier.sendTest(channel, to, message || 'Tes notifikasi');
+    res.json({ success: true, data: { channel, to: sentTo } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== MESSAGE TEMPLATES API ====================
+
+app.get('/api/templates', authenticateToken, requirePermission('templates.read'), (req, res) => {
+  try {
+    const data = templateOps.getAll({ tipe: req.query.tipe });
+    res.json({ success: true, data, placeholders: templates.PLACEHOLDERS, conditions: templates.CONDITIONS });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/transactions/monthly', authenticateToken, (req, res) => {
+// Render a template for a customer (or a sample customer) without sending it
+app.post('/api/templates/preview', authenticateToken, requirePermission('templates.read'), (req, res) => {
   try {
-    const data = transactionOps.getMonthlyData();
-    res.json({ success: true, data });
+    const { customer_id, tipe, amount } = req.body;
+    const customer = customer_id ? customerOps.getById(customer_id) : null;
+    
+    if (customer_id && !customer) {
+      return res.status(404).json({ success: false, error: 'Customer tidak ditemukan' });
+    }
+    
+    const template = templates.resolveText(req.body, customer ? customer.tipe : tipe || 'internet');
+    if (!template) {
+      return res.status(400).json({ success: false, error: 'Template diperlukan' });
+    }
+    
+    // Same amount send-billing would use: the given amount or the plan price
+    const jumlah = amount ? parseInt(amount) : customer ? customerOps.getPrice(customer) : undefined;
+    const message = templates.preview(template, customer, { tipe, amount: jumlah });
+    res.json({ success: true, data: { template, message } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/transactions/customer/:id/pending', authenticateToken, (req, res) => {
+app.get('/api/templates/:id', authenticateToken, requirePermission('templates.read'), (req, res) => {
   try {
-    const transactions = transactionOps.getPendingByCustomer(req.params.id);
-    const total = transactions.reduce((sum, t) => sum + t.jumlah, 0);
-    res.json({ success: true, data: transactions, total });
+    const template = templateOps.getById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template tidak ditemukan' });
+    }
+    res.json({ success: true, data: template });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/transactions', authenticateToken, (req, res) => {
+app.post('/api/templates', authenticateToken, requirePermission('templates.write'), (req, res) => {
   try {
-    const { customer_id, customer_nama, customer_tipe, kategori, jumlah, jenis, status, deskripsi } = req.body;
+    const { nama, tipe, isi, is_default } = req.body;
     
-    if (!customer_id || !kategori || !jumlah || !jenis) {
+    if (!nama || !isi) {
       return res.status(400).json({ success: false, error: 'Data tidak lengkap' });
     }
+    if (tipe && !['internet', 'gas'].includes(tipe)) {
+      return res.status(400).json({ success: false, error: 'Tipe tidak valid' });
+    }
     
-    const transaction = transactionOps.create({
-      customer_id, customer_nama, customer_tipe, kategori,
-      jumlah, jenis, status, deskripsi
-    }, req.user.id);
-    
-    broadcast({ type: 'transaction_updated', data: transaction });
-    
-    res.json({ success: true, data: transaction });
+    const template = templateOps.create({ nama, tipe, isi, is_default }, req.user.id);
+    res.json({ success: true, data: template });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/transactions/:id/mark-lunas', authenticateToken, (req, res) => {
+app.put('/api/templates/:id', authenticateToken, requirePermission('templates.write'), (req, res) => {
   try {
-    const result = transactionOps.markAsLunas(req.params.id, req.user.id);
-    if (!result) {
-      return res.status(404).json({ success: false, error: 'Transaksi tidak ditemukan' });
+    const { nama, tipe, isi, is_default } = req.body;
+    
+    if (tipe && !['internet', 'gas'].includes(tipe)) {
+      return res.status(400).json({ success: false, error: 'Tipe tidak valid' });
     }
     
-    broadcast({ type: 'transaction_updated' });
+    const template = templateOps.update(req.params.id, { nama, tipe, isi, is_default }, req.user.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template tidak ditemukan' });
+    }
     
-    res.json({ success: true, message: 'Transaksi ditandai lunas' });
+    res.json({ success: true, data: template });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/transactions/:id', authenticateToken, (req, res) => {
+app.delete('/api/templates/:id', authenticateToken, requirePermission('templates.write'), (req, res) => {
   try {
-    const result = transactionOps.delete(req.params.id, req.user.id);
+    const result = templateOps.delete(req.params.id, req.user.id);
     if (!result) {
-      return res.status(404).json({ success: false, error: 'Transaksi tidak ditemukan' });
+      return res.status(404).json({ success: false, error: 'Template tidak ditemukan' });
     }
-    
-    broadcast({ type: 'transaction_updated' });
-    
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== SETTINGS API ====================
-
-app.get('/api/settings', authenticateToken, (req, res) => {
+app.get('/api/templates/:id/versions', authenticateToken, requirePermission('templates.read'), (req, res) => {
   try {
-    const settings = settingsOps.getAll();
-    res.json({ success: true, data: settings });
+    if (!templateOps.getById(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Template tidak ditemukan' });
+    }
+    const versions = templateOps.getVersions(req.params.id);
+    res.json({ success: true, data: versions });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/settings', authenticateToken, (req, res) => {
+app.post('/api/templates/:id/versions/:versi/restore', authenticateToken, requirePermission('templates.write'), (req, res) => {
   try {
-    const { key, value } = req.body;
-    
-    if (!key || value === undefined) {
-      return res.status(400).json({ success: false, error: 'Key dan value diperlukan' });
+    const template = templateOps.restoreVersion(req.params.id, parseInt(req.params.versi), req.user.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Versi template tidak ditemukan' });
     }
-    
-    settingsOps.set(key, value);
-    broadcast({ type: 'settings_updated', key, value });
-    
-    res.json({ success: true });
+    res.json({ success: true, data: template });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 // ==================== WHATSAPP API ====================
 
-app.get('/api/whatsapp/status', authenticateToken, (req, res) => {
+app.get('/api/whatsapp/status', authenticateToken, requirePermission('whatsapp.read'), (req, res) => {
   try {
     const status = whatsapp.getStatus();
     res.json({ success: true, data: status });
@@ -443,7 +1630,7 @@ app.get('/api/whatsapp/status', authenticateToken, (req, res) => {
   }
 });
 
-app.post('/api/whatsapp/start', authenticateToken, (req, res) => {
+app.post('/api/whatsapp/start', authenticateToken, requirePermission('whatsapp.manage'), (req, res) => {
   try {
     const result = whatsapp.startService();
     res.json(result);
@@ -452,7 +1639,7 @@ app.post('/api/whatsapp/start', authenticateToken, (req, res) => {
   }
 });
 
-app.post('/api/whatsapp/stop', authenticateToken, (req, res) => {
+app.post('/api/whatsapp/stop', authenticateToken, requirePermission('whatsapp.manage'), (req, res) => {
   try {
     const result = whatsapp.stopService();
     res.json(result);
@@ -461,9 +1648,9 @@ app.post('/api/whatsapp/stop', authenticateToken, (req, res) => {
   }
 });
 
-app.post('/api/whatsapp/send-billing', authenticateToken, (req, res) => {
+app.post('/api/whatsapp/send-billing', authenticateToken, requirePermission('whatsapp.send'), async (req, res) => {
   try {
-    const { customerId, template, amount } = req.body;
+    const { customerId, amount } = req.body;
     
     if (!customerId) {
       return res.status(400).json({ success: false, error: 'Customer ID diperlukan' });
@@ -474,117 +1661,183 @@ app.post('/api/whatsapp/send-billing', authenticateToken, (req, res) => {
       return res.status(404).json({ success: false, error: 'Customer tidak ditemukan' });
     }
     
-    // Format message
-    let message = template;
-    const period = new Date().toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
-    const today = new Date().toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
+    // Raw text, a stored template or the default for the customer type
+    const template = templates.resolveText(req.body, customer.tipe);
+    if (!template) {
+      return res.status(400).json({ success: false, error: 'Template diperlukan' });
+    }
     
-    message = message
-      .replace(/\{nama\}/g, customer.nama)
-      .replace(/\{jumlah\}/g, amount ? parseInt(amount).toLocaleString('id-ID') : '0')
-      .replace(/\{tipe\}/g, customer.tipe === 'internet' ? 'Internet/PPPoE' : 'LPG 3kg')
-      .replace(/\{tanggal\}/g, today)
-      .replace(/\{periode\}/g, period)
-      .replace(/\{username\}/g, customer.username_pppoe || '-')
-      .replace(/\{password\}/g, customer.password_pppoe || '-');
+    // Bill the customer's plan price unless an amount is given
+    const jumlah = amount ? parseInt(amount) : customerOps.getPrice(customer);
+    const message = templates.render(template, customer, { amount: jumlah });
     
-    const result = whatsapp.sendBillingMessage(customerId, message, req.user.id);
+    const result = await notifier.sendBillingMessage(customerId, message, req.user.id);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/whatsapp/broadcast', authenticateToken, (req, res) => {
+// Queue a broadcast job; progress is pushed as broadcast_progress events
+app.post('/api/whatsapp/broadcast', authenticateToken, requirePermission('whatsapp.broadcast'), (req, res) => {
   try {
-    const { template } = req.body;
-    
-    if (!template) {
-      return res.status(400).json({ success: false, error: 'Template diperlukan' });
+    const job = broadcastJobs.createJob({ template: req.body.template, template_id: req.body.template_id }, req.user.id);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/whatsapp/broadcasts', authenticateToken, requirePermission('whatsapp.broadcast'), (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const jobs = broadcastJobs.getJobs(limit);
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/whatsapp/broadcasts/:id', authenticateToken, requirePermission('whatsapp.broadcast'), (req, res) => {
+  try {
+    const job = broadcastJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Broadcast tidak ditemukan' });
     }
-    
-    const result = whatsapp.broadcastBillingMessage(template, req.user.id);
-    res.json(result);
+    res.json({ success: true, data: job });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/whatsapp/logs', authenticateToken, (req, res) => {
+app.post('/api/whatsapp/broadcasts/:id/cancel', authenticateToken, requirePermission('whatsapp.broadcast'), (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const logs = whatsapp.getMessageLogs(limit);
+    const job = broadcastJobs.cancelJob(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Broadcast tidak ditemukan' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/whatsapp/broadcasts/:id/resume', authenticateToken, requirePermission('whatsapp.broadcast'), (req, res) => {
+  try {
+    const job = broadcastJobs.resumeJob(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Broadcast tidak ditemukan' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/whatsapp/logs', authenticateToken, requirePermission('whatsapp.read'), (req, res) => {
+  try {
+    const page = messageOps.getPage(messageLogFilter(req.query), listOptions(req.query, 50));
     const stats = whatsapp.getMessageStats();
-    res.json({ success: true, data: logs, stats });
+    res.json({ success: true, ...page, stats });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 // ==================== BACKUP/RESTORE API ====================
 
-app.get('/api/backup', authenticateToken, requireAdmin, (req, res) => {
+app.get('/api/backup', authenticateToken, requirePermission('backup.manage'), (req, res) => {
   try {
-    const customers = customerOps.getAll();
-    const transactions = transactionOps.getAll();
-    const settings = settingsOps.getAll();
-    const users = userOps.getAll().map(u => ({ ...u, password: '***HIDDEN***' }));
-    
-    const backup = {
-      version: '1.0',
-      exported_at: new Date().toISOString(),
-      exported_by: req.user.username,
-      customers,
-      transactions,
-      settings,
-      users
-    };
-    
-    res.json(backup);
+    res.json(backup.createBackup(req.user.username));
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/restore', authenticateToken, requireAdmin, (req, res) => {
+// Body is a backup file, either as-is or wrapped as { data, mode, dry_run }.
+// ?mode=merge|replace and ?dry_run=1 can also be given in the query string.
+app.post('/api/restore', authenticateToken, requirePermission('backup.manage'), (req, res) => {
   try {
-    const { customers, transactions, settings } = req.body;
-    
-    if (customers && Array.isArray(customers)) {
-      customers.forEach(c => {
-        customerOps.create({ ...c }, req.user.id);
-      });
+    const wrapped = req.body && req.body.data && !req.body.version;
+    const data = wrapped ? req.body.data : req.body;
+    const mode = req.query.mode || (wrapped && req.body.mode) || 'merge';
+    const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true' || (wrapped && req.body.dry_run === true);
+
+    const report = backup.restore(data, { mode, dryRun, userId: req.user.id });
+
+    if (!dryRun) {
+      broadcast({ type: 'data_restored' });
     }
-    
-    if (settings) {
-      Object.entries(settings).forEach(([key, value]) => {
-        settingsOps.set(key, value);
-      });
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Simulasi restore selesai, tidak ada data yang diubah' : 'Data berhasil dipulihkan',
+      data: report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// On-disk snapshots of billing.db, see snapshots.js
+app.get('/api/backups/snapshots', authenticateToken, requirePermission('backup.manage'), (req, res) => {
+  try {
+    res.json({ success: true, data: snapshots.list() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/backups/snapshots', authenticateToken, requirePermission('backup.manage'), async (req, res) => {
+  try {
+    const snapshot = await snapshots.create('manual', req.user.id);
+    res.json({ success: true, data: snapshot });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/backups/snapshots/:name/download', authenticateToken, requirePermission('backup.manage'), (req, res) => {
+  const file = snapshots.getPath(req.params.name);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'Snapshot tidak ditemukan' });
+  }
+  res.download(file, req.params.name);
+});
+
+app.delete('/api/backups/snapshots/:name', authenticateToken, requirePermission('backup.manage'), (req, res) => {
+  try {
+    if (!snapshots.remove(req.params.name, req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Snapshot tidak ditemukan' });
     }
-    
-    broadcast({ type: 'data_restored' });
-    userOps.logActivity(req.user.id, 'RESTORE_DATA', 'Restore data dari backup');
-    
-    res.json({ success: true, message: 'Data berhasil dipulihkan' });
+    res.json({ success: true, message: 'Snapshot dihapus' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.post('/api/backups/snapshots/:name/restore', authenticateToken, requirePermission('backup.manage'), async (req, res) => {
+  try {
+    const report = await snapshots.restore(req.params.name, req.user.id);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Snapshot tidak ditemukan' });
+    }
+
+    broadcast({ type: 'data_restored' });
+    res.json({ success: true, message: 'Database berhasil dipulihkan dari snapshot', data: report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ==================== ACTIVITY LOGS ====================
 
-app.get('/api/activity-logs', authenticateToken, requireAdmin, (req, res) => {
+app.get('/api/activity-logs', authenticateToken, requirePermission('activity.read'), (req, res) => {
   try {
-    const logs = db.prepare(`
-      SELECT a.*, u.username
-      FROM activity_logs a
-      LEFT JOIN users u ON a.user_id = u.id
-      ORDER BY a.created_at DESC
-      LIMIT 100
-    `).all();
-    res.json({ success: true, data: logs });
+    const page = userOps.getActivityPage(activityFilter(req.query), listOptions(req.query, 100));
+    res.json({ success: true, ...page });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -616,6 +1869,12 @@ server.listen(PORT, () => {
 ║                                                                    ║
 ╚════════════════════════════════════════════════════════════════════╝
   `);
+  
+  billing.startScheduler();
+  mikrotik.startScheduler();
+  reminders.startScheduler();
+  broadcastJobs.startWorker();
+  snapshots.startScheduler();
 });
 
 // Graceful shutdown
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { db, userOps, settingsOps, validationError } = require('./database');
+const notifier = require('./notifier');
+const { toDateString } = require('./format');
+
+// Snapshots are written next to the database unless BACKUP_DIR is set
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const SCHEDULER_INTERVAL = 15 * 60 * 1000;
+// billing-20261019-020000-scheduled.db
+const SNAPSHOT_PATTERN = /^billing-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})-(scheduled|manual|pre-restore)\.db$/;
+// Never taken from a snapshot: the migrations describe the live schema, and restoring
+// old sessions or login failures would bring back revoked logins and lift lockouts
+const KEEP_TABLES = ['schema_migrations', 'user_sessions', 'login_failures'];
+
+let schedulerTimer = null;
+let running = false;
+let snapshotCallback = null;
+
+function setCallback(cb) {
+  snapshotCallback = cb;
+}
+
+function notify(event) {
+  if (snapshotCallback) {
+    snapshotCallback(event);
+  }
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Monday of the date's week, used to group weekly snapshots
+function weekOf(date) {
+  const monday = new Date(date);
+  monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return toDateString(monday);
+}
+
+function parseName(name) {
+  const match = SNAPSHOT_PATTERN.exec(name);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, kind] = match;
+  return { name, kind, created_at: new Date(year, month - 1, day, hour, minute, second) };
+}
+
+// Snapshots on disk, newest first
+function list() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .map(parseName)
+    .filter(Boolean)
+    .map(s => ({ ...s, size: fs.statSync(path.join(BACKUP_DIR, s.name)).size }))
+    .sort((a, b) => b.created_at - a.created_at);
+}
+
+// Absolute path of a listed snapshot, or null. Only names produced by this module are accepted.
+function getPath(name) {
+  if (!parseName(name)) return null;
+  const file = path.join(BACKUP_DIR, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+function getRetention() {
+  const count = (key, fallback) => {
+    const value = parseInt(settingsOps.get(key));
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    daily: count('backup_keep_daily', 7),
+    weekly: count('backup_keep_weekly', 4),
+    monthly: count('backup_keep_monthly', 6)
+  };
+}
+
+// Delete scheduled snapshots outside the rotation. The newest snapshot of each of the
+// last `daily` days, `weekly` weeks and `monthly` months is kept. Manual and
+// pre-restore snapshots are only removed by an admin.
+function rotate() {
+  const retention = getRetention();
+  const scheduled = list().filter(s => s.kind === 'scheduled');
+  const keep = new Set();
+
+  const keepNewest = (keyOf, limit) => {
+    const seen = new Set();
+    for (const snapshot of scheduled) {
+      const key = keyOf(snapshot.created_at);
+      if (seen.has(key)) continue;
+      if (seen.size >= limit) break;
+      seen.add(key);
+      keep.add(snapshot.name);
+    }
+  };
+  keepNewest(toDateString, retention.daily);
+  keepNewest(weekOf, retention.weekly);
+  keepNewest(date => toDateString(date).slice(0, 7), retention.monthly);
+
+  const removed = [];
+  for (const snapshot of scheduled) {
+    if (keep.has(snapshot.name)) continue;
+    fs.unlinkSync(path.join(BACKUP_DIR, snapshot.name));
+    removed.push(snapshot.name);
+  }
+  return removed;
+}
+
+// Consistent copy of the live database through SQLite's online backup API.
+// The copy is written under a temporary name so a half-written file is never listed.
+async function create(kind = 'manual', userId = null) {
+  const now = new Date();
+  const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  const name = `billing-${stamp}-${kind}.db`;
+  const file = path.join(BACKUP_DIR, name);
+  const tmpFile = `${file}.tmp`;
+
+  try {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    await db.backup(tmpFile);
+    fs.renameSync(tmpFile, file);
+  } catch (error) {
+    if (fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+    await reportFailure(error);
+    throw error;
+  }
+
+  const removed = rotate();
+  const snapshot = list().find(s => s.name === name) || parseName(name);
+
+  if (userId) {
+    userOps.logActivity(userId, 'CREATE_SNAPSHOT', `Buat snapshot database ${name}`);
+  }
+  console.log(`✅ Database snapshot ${name} created${removed.length ? `, ${removed.length} rotated out` : ''}`);
+
+  notify({ status: 'created', snapshot, removed });
+  return snapshot;
+}
+
+async function reportFailure(error) {
+  console.error('Database snapshot failed:', error);
+  notify({ status: 'failed', error: error.message });
+
+  const appName = settingsOps.get('app_name') || 'Billing';
+  await notifier.sendAdminAlert(`⚠️ *${appName}*\n\nBackup database GAGAL pada ${new Date().toLocaleString('id-ID')}.\n\nError: ${error.message}`);
+}
+
+// Replace the live data with a snapshot, table by table inside one transaction.
+// Only columns present on both sides are copied, so snapshots from an older schema
+// still restore; tables the snapshot does not have are left as they are.
+// The migration history stays that of the running code.
+// The current database is snapshotted first so the restore can be undone.
+async function restore(name, userId = null) {
+  const file = getPath(name);
+  if (!file) return null;
+
+  const source = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const check = source.pragma('integrity_check', { simple: true });
+    if (check !== 'ok') {
+      throw validationError(`Snapshot rusak: ${check}`);
+    }
+  } catch (error) {
+    throw error.status ? error : validationError(`Snapshot tidak bisa dibaca: ${error.message}`);
+  } finally {
+    source.close();
+  }
+
+  const safety = await create('pre-restore');
+  if (!fs.existsSync(file)) {
+    throw validationError('Snapshot tidak ditemukan');
+  }
+  const report = { snapshot: name, safety_snapshot: safety.name, tables: {}, skipped_tables: [] };
+
+  const tableNames = (schema) => db.prepare(`
+    SELECT name FROM ${schema}.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+  `).all().map(t => t.name);
+  const columnNames = (schema, table) => db.prepare(`PRAGMA ${schema}.table_info(${table})`).all().map(c => c.name);
+
+  // Foreign keys can only be toggled outside a transaction; the copy is checked before commit instead
+  db.pragma('foreign_keys = OFF');
+  db.prepare('ATTACH DATABASE ? AS snapshot').run(file);
+  try {
+    const snapshotTables = new Set(tableNames('snapshot'));
+
+    db.transaction(() => {
+      for (const table of tableNames('main')) {
+        if (KEEP_TABLES.includes(table)) continue;
+        if (!snapshotTables.has(table)) {
+          report.skipped_tables.push(table);
+          continue;
+        }
+
+        const sourceColumns = new Set(columnNames('snapshot', table));
+        const columns = columnNames('main', table).filter(c => sourceColumns.has(c)).join(', ');
+
+        db.prepare(`DELETE FROM main.${table}`).run();
+        report.tables[table] = db.prepare(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM snapshot.${table}`).run().changes;
+      }
+
+      // Sessions are kept, except those of users the snapshot does not have
+      db.prepare('DELETE FROM main.user_sessions WHERE user_id NOT IN (SELECT id FROM main.users)').run();
+
+      const violations = db.pragma('main.foreign_key_check');
+      if (violations.length > 0) {
+        throw validationError(`Snapshot tidak konsisten: ${violations.length} relasi rusak (tabel ${violations[0].table})`);
+      }
+    })();
+  } finally {
+    db.exec('DETACH DATABASE snapshot');
+    db.pragma('foreign_keys = ON');
+  }
+
+  if (userId) {
+    userOps.logActivity(userId, 'RESTORE_SNAPSHOT', `Restore database dari snapshot ${name}`);
+  }
+  console.log(`✅ Database restored from snapshot ${name}`);
+
+  return report;
+}
+
+function remove(name, userId = null) {
+  const file = getPath(name);
+  if (!file) return false;
+
+  fs.unlinkSync(file);
+  if (userId) {
+    userOps.logActivity(userId, 'DELETE_SNAPSHOT', `Hapus snapshot database ${name}`);
+  }
+  return true;
+}
+
+// Whether a scheduled snapshot was already taken today
+function hasSnapshotToday(now) {
+  const today = toDateString(now);
+  return list().some(s => s.kind === 'scheduled' && toDateString(s.created_at) === today);
+}
+
+// Whether today's backup time ("HH:MM") has passed
+function isBackupTime(now) {
+  const [hour, minute] = (settingsOps.get('backup_time') || '02:00').split(':').map(Number);
+  return now.getHours() > hour || (now.getHours() === hour && now.getMinutes() >= (minute || 0));
+}
+
+async function checkSchedule() {
+  if (running || settingsOps.get('backup_enabled') !== '1') return;
+
+  const now = new Date();
+  if (!isBackupTime(now) || hasSnapshotToday(now)) return;
+
+  running = true;
+  try {
+    await create('scheduled');
+  } catch (error) {
+    // Already reported; retried on the next check
+  } finally {
+    running = false;
+  }
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+  checkSchedule();
+  schedulerTimer = setInterval(checkSchedule, SCHEDULER_INTERVAL);
+}
+
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  list,
+  getPath,
+  create,
+  restore,
+  remove,
+  setCallback,
+  startScheduler,
+  stopScheduler
+};
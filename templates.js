@@ -0,0 +1,111 @@
+const { transactionOps, settingsOps, templateOps } = require('./database');
+const { formatDate, formatPeriod } = require('./format');
+
+const TYPE_LABELS = {
+  internet: 'Internet/PPPoE',
+  gas: 'LPG 3kg'
+};
+
+// Placeholders understood by render(), listed for the UI
+const PLACEHOLDERS = [
+  'nama', 'jumlah', 'tipe', 'tanggal', 'periode', 'username', 'password',
+  'total_tunggakan', 'rincian_tagihan', 'app_name', 'jatuh_tempo'
+];
+
+// Conditions usable as {#name}...{/name} (shown when true) or {^name}...{/name} (shown when false)
+const CONDITIONS = ['internet', 'gas', 'tunggakan', 'jatuh_tempo'];
+
+const BLOCK_PATTERN = /\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g;
+
+function formatAmount(num) {
+  return parseInt(num || 0).toLocaleString('id-ID');
+}
+
+function formatBillLines(bills) {
+  if (bills.length === 0) return '-';
+  return bills.map(t => {
+    const label = t.deskripsi || (t.periode ? `${t.kategori} ${formatPeriod(t.periode)}` : t.kategori);
+    const due = t.jatuh_tempo ? ` (jatuh tempo ${formatDate(t.jatuh_tempo)})` : '';
+    return `- ${label}: Rp ${formatAmount(t.sisa)}${due}`;
+  }).join('\n');
+}
+
+// Render a template for a customer.
+// context: { amount, periode, jatuh_tempo, bills } - {jumlah} falls back to the total
+// of the customer's pending bills, which are looked up unless `bills` is given.
+function render(template, customer, context = {}) {
+  const bills = context.bills || (customer.id
+    ? transactionOps.getPendingByCustomer(customer.id).filter(t => t.sisa > 0)
+    : []);
+  const totalTunggakan = bills.reduce((sum, t) => sum + t.sisa, 0);
+  const jatuhTempo = context.jatuh_tempo || bills.map(t => t.jatuh_tempo).filter(Boolean).sort()[0] || null;
+  const amount = context.amount !== undefined && context.amount !== null ? context.amount : totalTunggakan;
+
+  const conditions = {
+    internet: customer.tipe === 'internet',
+    gas: customer.tipe === 'gas',
+    tunggakan: totalTunggakan > 0,
+    jatuh_tempo: !!jatuhTempo
+  };
+
+  const values = {
+    nama: customer.nama,
+    jumlah: formatAmount(amount),
+    tipe: TYPE_LABELS[customer.tipe] || customer.tipe,
+    tanggal: new Date().toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' }),
+    periode: formatPeriod(context.periode),
+    username: customer.username_pppoe || '-',
+    password: customer.password_pppoe || '-',
+    total_tunggakan: formatAmount(totalTunggakan),
+    rincian_tagihan: formatBillLines(bills),
+    app_name: settingsOps.get('app_name') || '',
+    jatuh_tempo: jatuhTempo ? formatDate(jatuhTempo) : '-'
+  };
+
+  // Resolve blocks from the outside in so they can be nested
+  let text = template;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(BLOCK_PATTERN, (match, mode, name, body) => ((mode === '#') === !!conditions[name] ? body : ''));
+  } while (text !== previous);
+
+  return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Template text from a request: raw `template` text, a stored `template_id`,
+// or the default for the customer type. Returns null when nothing matches.
+function resolveText({ template, template_id }, tipe) {
+  if (template) return template;
+  if (template_id) {
+    const stored = templateOps.getById(template_id);
+    return stored ? stored.isi : null;
+  }
+  const fallback = tipe ? templateOps.getDefault(tipe) : null;
+  return fallback ? fallback.isi : null;
+}
+
+// Render without sending. Without a customer, a sample customer of `tipe` with one sample bill is used.
+function preview(template, customer, context = {}) {
+  if (customer) {
+    return render(template, customer, context);
+  }
+
+  const tipe = context.tipe || 'internet';
+  const sample = { nama: 'Nama Pelanggan', tipe, username_pppoe: 'user123', password_pppoe: 'pass456' };
+  const bills = [{
+    kategori: tipe,
+    deskripsi: tipe === 'internet' ? `Tagihan internet periode ${formatPeriod()}` : 'Gas LPG 3kg',
+    sisa: context.amount || 150000,
+    jatuh_tempo: new Date().toISOString().slice(0, 10)
+  }];
+  return render(template, sample, { ...context, bills });
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  CONDITIONS,
+  render,
+  resolveText,
+  preview
+};
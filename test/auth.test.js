@@ -0,0 +1,108 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scratch database, set before the modules load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'billing-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'billing.db');
+
+const { db, userOps, settingsOps, loginFailureOps } = require('../database');
+const auth = require('../auth');
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// The error a login attempt fails with
+function loginError(username, password, ip) {
+  try {
+    auth.checkCredentials(username, password, ip);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`login of ${username} succeeded`);
+}
+
+test('answers an unknown username and a wrong password alike', () => {
+  const unknown = loginError('nobody', 'staff123', '10.0.1.1');
+  const wrong = loginError('staff', 'wrong-password', '10.0.1.1');
+
+  assert.strictEqual(unknown.status, 401);
+  assert.strictEqual(wrong.status, 401);
+  assert.strictEqual(unknown.message, wrong.message);
+
+  auth.checkCredentials('staff', 'staff123', '10.0.1.1');
+});
+
+test('locks an account after five failures and doubles the lock', () => {
+  userOps.create({ username: 'kasir', password: 'Laci-uang-2026', nama_lengkap: 'Kasir' });
+
+  // From different addresses, so only the account count is reached
+  for (let i = 1; i <= 5; i++) {
+    assert.strictEqual(loginError('kasir', 'salah', `10.0.2.${i}`).status, 401);
+  }
+  assert.strictEqual(loginError('kasir', 'Laci-uang-2026', '10.0.2.9').status, 429);
+
+  // Once the lock is over, the next failure locks for twice as long
+  db.prepare("UPDATE login_failures SET locked_until = datetime('now', '-1 second') WHERE key = 'user:kasir'").run();
+  assert.strictEqual(loginError('kasir', 'salah', '10.0.2.6').status, 401);
+  const seconds = loginFailureOps.lockedFor('user:kasir');
+  assert.ok(seconds > 60 && seconds <= 120, `locked for ${seconds}s`);
+});
+
+test('locks a client IP after twenty failures across usernames', () => {
+  for (let i = 1; i <= 20; i++) {
+    assert.strictEqual(loginError(`tebak${i}`, 'salah', '10.0.3.1').status, 401);
+  }
+  assert.strictEqual(loginError('staff', 'staff123', '10.0.3.1').status, 429);
+  auth.checkCredentials('staff', 'staff123', '10.0.3.2');
+});
+
+test('a login clears the account count but only takes one failure off the IP', () => {
+  loginError('nobody', 'salah', '10.0.4.1');
+  loginError('staff', 'salah', '10.0.4.1');
+  loginError('staff', 'salah', '10.0.4.1');
+
+  auth.checkCredentials('staff', 'staff123', '10.0.4.1');
+  assert.strictEqual(loginFailureOps.get('user:staff'), undefined);
+  assert.strictEqual(loginFailureOps.get('ip:10.0.4.1').failures, 2);
+});
+
+test('refuses deactivated accounts', () => {
+  const user = userOps.create({ username: 'mantan', password: 'Pensiun-2026', nama_lengkap: 'Mantan' });
+  userOps.update(user.id, { aktif: false });
+
+  const error = loginError('mantan', 'Pensiun-2026', '10.0.5.1');
+  assert.strictEqual(error.status, 401);
+  assert.strictEqual(error.message, 'Akun tidak aktif');
+});
+
+test('applies the password policy from the settings', () => {
+  const create = password => () => userOps.create({ username: 'baru', password, nama_lengkap: 'Baru' });
+
+  assert.throws(create('pendek'), { status: 400, message: 'Password minimal 8 karakter' });
+  assert.throws(create('baru-sekali-123'), { status: 400, message: 'Password tidak boleh mengandung username' });
+
+  settingsOps.set('password_require_mixed', '1');
+  settingsOps.set('password_require_symbol', '1');
+  try {
+    assert.throws(create('hanyahuruf'), { status: 400, message: 'Password harus mengandung huruf dan angka' });
+    assert.throws(create('huruf12345'), { status: 400, message: 'Password harus mengandung simbol' });
+    assert.strictEqual(userOps.create({ username: 'baru', password: 'huruf-12345', nama_lengkap: 'Baru' }).username, 'baru');
+  } finally {
+    settingsOps.set('password_require_mixed', '0');
+    settingsOps.set('password_require_symbol', '0');
+  }
+});
+
+test('default accounts have to change their password first', () => {
+  const admin = auth.checkCredentials('admin', 'admin123', '10.0.6.1');
+  const { token } = auth.startSession(admin, { ip: '10.0.6.1' });
+  assert.strictEqual(auth.verifyAccessToken(token).must_change_password, true);
+
+  userOps.update(admin.id, { password: 'Rahasia-2026' });
+  assert.strictEqual(auth.verifyAccessToken(token).must_change_password, false);
+});
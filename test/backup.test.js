@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scratch database, set before the modules load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'billing-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'billing.db');
+
+const { db, planOps, customerOps, transactionOps, paymentOps, inventoryOps } = require('../database');
+const backup = require('../backup');
+
+const TABLES = ['plans', 'customers', 'transactions', 'payments', 'payment_allocations', 'gas_stock_movements'];
+let budi;
+
+// Backup as it comes back from a downloaded file
+function download() {
+  return JSON.parse(JSON.stringify(backup.createBackup()));
+}
+
+function counts() {
+  return Object.fromEntries(TABLES.map(table => [table, db.prepare(`SELECT COUNT(*) as n FROM ${table}`).get().n]));
+}
+
+function findCustomer(nama) {
+  return db.prepare('SELECT * FROM customers WHERE nama = ?').get(nama);
+}
+
+// The backup with every id and reference moved by `offset`, as if it came from another install
+function shiftIds(data, offset) {
+  const references = {
+    plans: ['id'],
+    customers: ['id', 'plan_id'],
+    transactions: ['id', 'customer_id'],
+    payments: ['id', 'customer_id', 'income_transaction_id'],
+    payment_allocations: ['id', 'payment_id', 'transaction_id'],
+    gas_stock_movements: ['id', 'customer_id', 'transaction_id']
+  };
+  const shifted = JSON.parse(JSON.stringify(data));
+  Object.entries(references).forEach(([table, keys]) => {
+    shifted[table].forEach(row => keys.forEach(key => {
+      if (row[key]) row[key] += offset;
+    }));
+  });
+  return shifted;
+}
+
+before(() => {
+  const plan = planOps.create({ nama: 'Home 10M', harga: 150000, profile: 'home-10m' });
+  budi = customerOps.create({
+    nama: 'Budi', tipe: 'internet', whatsapp: '081234567890', username_pppoe: 'budi', password_pppoe: 'budi123', plan_id: plan.id
+  });
+  const siti = customerOps.create({ nama: 'Siti', tipe: 'gas', whatsapp: '081298765432' });
+
+  transactionOps.create({
+    customer_id: budi.id, customer_nama: 'Budi', customer_tipe: 'internet', kategori: 'internet',
+    jumlah: 150000, jenis: 'pengeluaran', periode: '2026-10', jatuh_tempo: '2026-10-10'
+  });
+  inventoryOps.createSale({
+    customer_id: siti.id, customer_nama: 'Siti', customer_tipe: 'gas', kategori: 'gas', jumlah: 40000, jenis: 'pemasukan', status: 'lunas'
+  }, 2);
+  paymentOps.create({ customer_id: budi.id, jumlah: 100000 });
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a dry run reports the restore and changes nothing', () => {
+  const before = counts();
+  const report = backup.restore(download(), { mode: 'replace', dryRun: true });
+
+  assert.strictEqual(report.dry_run, true);
+  assert.strictEqual(report.customers.inserted, 2);
+  assert.strictEqual(report.transactions.inserted, 3);
+  assert.strictEqual(report.payments.inserted, 1);
+  assert.deepStrictEqual(counts(), before);
+  assert.strictEqual(findCustomer('Budi').id, budi.id);
+});
+
+test('merging the same backup again skips every row', () => {
+  const before = counts();
+  const report = backup.restore(download());
+
+  assert.deepStrictEqual(report.customers, { inserted: 0, updated: 0, skipped: 2, conflicts: 0 });
+  assert.deepStrictEqual(report.transactions, { inserted: 0, updated: 0, skipped: 3, conflicts: 0 });
+  assert.deepStrictEqual(report.payments, { inserted: 0, updated: 0, skipped: 1, conflicts: 0 });
+  assert.deepStrictEqual(report.gas_stock_movements, { inserted: 0, updated: 0, skipped: 1, conflicts: 0 });
+  assert.deepStrictEqual(counts(), before);
+});
+
+test('merge reports an invoice number used by other data instead of overwriting it', () => {
+  const data = download();
+  const bill = data.transactions.find(t => t.kategori === 'internet');
+  bill.jumlah = 175000;
+
+  const report = backup.restore(data);
+  assert.strictEqual(report.transactions.conflicts, 1);
+  assert.ok(report.warnings.some(warning => warning.includes(bill.no_invoice)));
+  assert.strictEqual(db.prepare('SELECT jumlah FROM transactions WHERE no_invoice = ?').get(bill.no_invoice).jumlah, 150000);
+});
+
+test('replace maps backup ids onto the new rows', () => {
+  const data = shiftIds(download(), 100);
+  const report = backup.restore(data, { mode: 'replace' });
+  assert.strictEqual(report.customers.inserted, 2);
+  assert.deepStrictEqual(report.warnings.filter(warning => !warning.startsWith('Data user')), []);
+
+  const customer = findCustomer('Budi');
+  assert.strictEqual(db.prepare('SELECT nama FROM plans WHERE id = ?').get(customer.plan_id).nama, 'Home 10M');
+
+  const bill = db.prepare("SELECT * FROM transactions WHERE kategori = 'internet'").get();
+  assert.strictEqual(bill.customer_id, customer.id);
+  assert.strictEqual(bill.terbayar, 100000);
+
+  const payment = db.prepare('SELECT * FROM payments').get();
+  assert.strictEqual(payment.customer_id, customer.id);
+  assert.strictEqual(db.prepare('SELECT jenis FROM transactions WHERE id = ?').get(payment.income_transaction_id).jenis, 'pemasukan');
+  assert.deepStrictEqual(
+    db.prepare('SELECT transaction_id, jumlah FROM payment_allocations WHERE payment_id = ?').all(payment.id),
+    [{ transaction_id: bill.id, jumlah: 100000 }]
+  );
+
+  const movement = db.prepare('SELECT * FROM gas_stock_movements').get();
+  assert.strictEqual(movement.customer_id, findCustomer('Siti').id);
+  assert.strictEqual(db.prepare('SELECT kategori FROM transactions WHERE id = ?').get(movement.transaction_id).kategori, 'gas');
+  assert.strictEqual(inventoryOps.getStock().isi, -2);
+
+  // The billing run will not invoice the restored period again
+  assert.ok(db.prepare("SELECT 1 FROM billing_invoices WHERE periode = '2026-10' AND customer_id = ?").get(customer.id));
+});
+
+test('invoice numbers continue after the restored ones', () => {
+  const customer = findCustomer('Budi');
+  const highest = Math.max(...db.prepare('SELECT no_invoice FROM transactions WHERE no_invoice IS NOT NULL').all()
+    .map(t => parseInt(t.no_invoice.split('/').pop())));
+
+  const bill = transactionOps.create({
+    customer_id: customer.id, customer_nama: 'Budi', customer_tipe: 'internet', kategori: 'internet', jumlah: 150000, jenis: 'pengeluaran'
+  });
+  assert.strictEqual(parseInt(bill.no_invoice.split('/').pop()), highest + 1);
+});
@@ -0,0 +1,174 @@
+const net = require('net');
+
+// Minimal RouterOS API server for the tests: plain login, /system/identity,
+// /ppp/secret and /ppp/active with print, add, set and remove.
+// Every sentence received is kept in `commands` so tests can check what was sent.
+
+function encodeLength(len) {
+  if (len < 0x80) return Buffer.from([len]);
+  if (len < 0x4000) return Buffer.from([(len >> 8) | 0x80, len & 0xff]);
+  if (len < 0x200000) return Buffer.from([(len >> 16) | 0xc0, (len >> 8) & 0xff, len & 0xff]);
+  return Buffer.from([(len >> 24) | 0xe0, (len >> 16) & 0xff, (len >> 8) & 0xff, len & 0xff]);
+}
+
+function encodeSentence(words) {
+  const parts = [];
+  words.forEach(word => {
+    const data = Buffer.from(word, 'utf8');
+    parts.push(encodeLength(data.length), data);
+  });
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+// Split a buffer into words; returns the words and the bytes that are not complete yet
+function decodeWords(buffer) {
+  const words = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const first = buffer[offset];
+    let size = 1;
+    let length = first;
+    if ((first & 0xe0) === 0xc0) {
+      size = 3;
+      length = first & 0x1f;
+    } else if ((first & 0xc0) === 0x80) {
+      size = 2;
+      length = first & 0x3f;
+    } else if ((first & 0xf0) === 0xe0) {
+      size = 4;
+      length = first & 0x0f;
+    }
+    if (offset + size > buffer.length) break;
+    for (let i = 1; i < size; i++) {
+      length = length * 256 + buffer[offset + i];
+    }
+    if (offset + size + length > buffer.length) break;
+
+    words.push(buffer.toString('utf8', offset + size, offset + size + length));
+    offset += size + length;
+  }
+
+  return { words, rest: buffer.subarray(offset) };
+}
+
+// "=name=value" and "?name=value" words of a sentence
+function parseWords(words, prefix) {
+  const result = {};
+  words.filter(word => word.startsWith(prefix)).forEach(word => {
+    const separator = word.indexOf('=', prefix === '=' ? 1 : 0);
+    result[word.substring(1, separator)] = word.substring(separator + 1);
+  });
+  return result;
+}
+
+function createFakeRouter({ user = 'admin', password = 'secret', identity = 'FakeRouter' } = {}) {
+  const state = {
+    secrets: [],
+    active: [],
+    commands: []
+  };
+  let nextId = 1;
+  const sockets = new Set();
+
+  function matches(item, query) {
+    return Object.entries(query).every(([key, value]) => item[key] === value);
+  }
+
+  // Reply sentences for one command
+  function handle(path, attributes, query, loggedIn) {
+    if (path === '/login') {
+      if (attributes.name === user && attributes.password === password) {
+        return { replies: [['!done']], loggedIn: true };
+      }
+      return { replies: [['!trap', '=message=invalid user name or password (6)'], ['!done']] };
+    }
+    if (!loggedIn) {
+      return { replies: [['!trap', '=message=not logged in'], ['!done']] };
+    }
+
+    const list = path.startsWith('/ppp/secret') ? state.secrets : path.startsWith('/ppp/active') ? state.active : null;
+    const action = path.substring(path.lastIndexOf('/') + 1);
+
+    if (path === '/system/identity/print') {
+      return { replies: [['!re', `=name=${identity}`], ['!done']] };
+    }
+    if (!list) {
+      return { replies: [['!trap', '=message=no such command'], ['!done']] };
+    }
+
+    if (action === 'print') {
+      const records = list.filter(item => matches(item, query))
+        .map(item => ['!re', ...Object.entries(item).map(([key, value]) => `=${key}=${value}`)]);
+      return { replies: [...records, ['!done']] };
+    }
+    if (action === 'add') {
+      const id = `*${(nextId++).toString(16).toUpperCase()}`;
+      list.push({ '.id': id, ...attributes, disabled: attributes.disabled === 'yes' ? 'true' : 'false' });
+      return { replies: [['!done', `=ret=${id}`]] };
+    }
+
+    const item = list.find(entry => entry['.id'] === attributes['.id']);
+    if (!item) {
+      return { replies: [['!trap', '=message=no such item'], ['!done']] };
+    }
+    if (action === 'set') {
+      Object.entries(attributes).forEach(([key, value]) => {
+        if (key === '.id') return;
+        item[key] = key === 'disabled' ? (value === 'yes' ? 'true' : 'false') : value;
+      });
+      return { replies: [['!done']] };
+    }
+    if (action === 'remove') {
+      list.splice(list.indexOf(item), 1);
+      return { replies: [['!done']] };
+    }
+    return { replies: [['!trap', '=message=no such command'], ['!done']] };
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    let sentence = [];
+    let loggedIn = false;
+
+    socket.on('data', (chunk) => {
+      const { words, rest } = decodeWords(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+
+      words.forEach(word => {
+        if (word !== '') {
+          sentence.push(word);
+          return;
+        }
+
+        const [path, ...args] = sentence;
+        sentence = [];
+        state.commands.push([path, ...args]);
+
+        const result = handle(path, parseWords(args, '='), parseWords(args, '?'), loggedIn);
+        if (result.loggedIn) loggedIn = true;
+        result.replies.forEach(reply => socket.write(encodeSentence(reply)));
+      });
+    });
+  });
+
+  return {
+    state,
+    // Resolves with the port once the server listens on localhost
+    listen() {
+      return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+      });
+    },
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createFakeRouter };
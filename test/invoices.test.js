@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scratch database and a fixed zone, set before the modules load: invoice dates are local
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'billing-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'billing.db');
+process.env.TZ = 'Asia/Jakarta';
+
+const { db, customerOps, transactionOps, paymentOps, settingsOps, invoiceOps } = require('../database');
+
+let customer;
+
+function bill(jumlah = 150000) {
+  return transactionOps.create({
+    customer_id: customer.id, customer_nama: customer.nama, customer_tipe: 'internet', kategori: 'internet', jumlah, jenis: 'pengeluaran'
+  });
+}
+
+// A bill created at `createdAt` (UTC, as SQLite stores it), numbered afterwards
+function billAt(createdAt) {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO transactions (customer_id, customer_nama, customer_tipe, kategori, jumlah, jenis, created_at)
+    VALUES (?, ?, 'internet', 'internet', 150000, 'pengeluaran', ?)
+  `).run(customer.id, customer.nama, createdAt);
+  return invoiceOps.assign(lastInsertRowid);
+}
+
+function numberOf(noInvoice) {
+  return parseInt(noInvoice.split('/').pop());
+}
+
+before(() => {
+  customer = customerOps.create({ nama: 'Budi', tipe: 'internet', whatsapp: '081234567890' });
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('customer bills are numbered in sequence, other rows are not', () => {
+  const now = new Date();
+  const prefix = `INV/${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/`;
+
+  const first = bill();
+  const second = bill();
+  assert.strictEqual(first.no_invoice, `${prefix}0001`);
+  assert.strictEqual(second.no_invoice, `${prefix}0002`);
+
+  const walkIn = transactionOps.create({ customer_nama: 'Umum', customer_tipe: 'gas', kategori: 'lain', jumlah: 5000, jenis: 'pengeluaran' });
+  assert.strictEqual(walkIn.no_invoice, null);
+
+  const payment = paymentOps.create({ customer_id: customer.id, jumlah: 150000 });
+  assert.strictEqual(transactionOps.getById(payment.income_transaction_id).no_invoice, null);
+  assert.strictEqual(numberOf(bill().no_invoice), 3);
+});
+
+test('numbering starts over every year, by local date', () => {
+  assert.strictEqual(billAt('2031-05-01 10:00:00'), 'INV/2031/05/0001');
+  assert.strictEqual(billAt('2031-12-31 10:00:00'), 'INV/2031/12/0002');
+  // 20:00 UTC on New Year's Eve is already 1 January in Jakarta
+  assert.strictEqual(billAt('2031-12-31 20:00:00'), 'INV/2032/01/0001');
+});
+
+test('uses the invoice_prefix setting', () => {
+  settingsOps.set('invoice_prefix', 'TAG');
+  try {
+    assert.strictEqual(billAt('2033-03-15 10:00:00'), 'TAG/2033/03/0001');
+  } finally {
+    settingsOps.set('invoice_prefix', 'INV');
+  }
+});
+
+test('only the latest number of a year can be deleted and is then given again', () => {
+  const older = bill();
+  const latest = bill();
+
+  assert.throws(() => transactionOps.delete(older.id), { status: 400 });
+  assert.ok(transactionOps.getById(older.id));
+
+  assert.strictEqual(transactionOps.delete(latest.id), true);
+  assert.strictEqual(bill().no_invoice, latest.no_invoice);
+  assert.throws(() => invoiceOps.release('INV/2031/05/0001'), { status: 400 });
+});
@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations, getStatus } = require('../migrate');
+
+// The schema database.js created before there were migrations
+const BASELINE_SCHEMA = `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    nama_lengkap TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'staff' CHECK(role IN ('admin', 'staff')),
+    aktif INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE customers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nama TEXT NOT NULL,
+    tipe TEXT NOT NULL CHECK(tipe IN ('internet', 'gas')),
+    whatsapp TEXT NOT NULL,
+    username_pppoe TEXT,
+    password_pppoe TEXT,
+    alamat TEXT,
+    aktif INTEGER DEFAULT 1,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+  CREATE TABLE transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id INTEGER NOT NULL,
+    customer_nama TEXT NOT NULL,
+    customer_tipe TEXT NOT NULL,
+    kategori TEXT NOT NULL,
+    jumlah INTEGER NOT NULL,
+    jenis TEXT NOT NULL CHECK(jenis IN ('pemasukan', 'pengeluaran')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'lunas')),
+    deskripsi TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+  );
+  CREATE TABLE settings (
+    key TEXT PRIMARY KEY UNIQUE,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE message_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id INTEGER,
+    customer_nama TEXT,
+    phone TEXT NOT NULL,
+    message_type TEXT NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('success', 'failed', 'pending')),
+    message_preview TEXT,
+    error_message TEXT,
+    sent_by INTEGER,
+    sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id),
+    FOREIGN KEY (sent_by) REFERENCES users(id)
+  );
+  CREATE TABLE activity_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    action TEXT NOT NULL,
+    details TEXT,
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+`;
+
+// Scratch database and a fixed zone: the invoice numbers migration dates bills locally
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'billing-test-'));
+process.env.TZ = 'Asia/Jakarta';
+let db;
+
+before(() => {
+  db = new Database(path.join(tmpDir, 'billing.db'));
+  db.pragma('foreign_keys = ON');
+  db.exec(BASELINE_SCHEMA);
+
+  db.prepare("INSERT INTO users (username, password, nama_lengkap, role) VALUES ('admin', 'hash', 'Administrator', 'admin')").run();
+  db.prepare("INSERT INTO customers (nama, tipe, whatsapp, created_by) VALUES ('Budi', 'internet', '0812-3456-7890', 1)").run();
+  db.prepare(`
+    INSERT INTO transactions (customer_id, customer_nama, customer_tipe, kategori, jumlah, jenis, created_by, created_at)
+    VALUES (1, 'Budi', 'internet', 'internet', 150000, 'pengeluaran', 1, '2026-10-01 03:00:00')
+  `).run();
+  db.prepare("INSERT INTO message_logs (customer_id, customer_nama, phone, message_type, status) VALUES (1, 'Budi', '0812-3456-7890', 'billing', 'success')").run();
+  db.prepare("INSERT INTO activity_logs (user_id, action) VALUES (1, 'LOGIN')").run();
+  db.prepare("INSERT INTO settings (key, value) VALUES ('app_name', 'Billing Lama')").run();
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('upgrades a baseline database to the latest schema', () => {
+  const applied = runMigrations(db);
+  const status = getStatus(db);
+
+  assert.deepStrictEqual(applied, status.migrations.map(m => m.version));
+  assert.strictEqual(status.current, status.latest);
+  assert.ok(status.migrations.every(m => m.applied_at));
+  assert.deepStrictEqual(db.pragma('foreign_key_check'), []);
+  assert.strictEqual(db.pragma('foreign_keys', { simple: true }), 1);
+});
+
+test('keeps the existing data and brings it up to date', () => {
+  assert.strictEqual(db.prepare('SELECT whatsapp FROM customers WHERE id = 1').get().whatsapp, '+6281234567890');
+  assert.strictEqual(db.prepare('SELECT no_invoice FROM transactions WHERE id = 1').get().no_invoice, 'INV/2026/10/0001');
+  assert.strictEqual(db.prepare('SELECT role FROM users WHERE id = 1').get().role, 'admin');
+  assert.strictEqual(db.prepare("SELECT value FROM settings WHERE key = 'app_name'").get().value, 'Billing Lama');
+  assert.strictEqual(db.prepare('SELECT COUNT(*) as n FROM message_logs').get().n, 1);
+});
+
+test('a second run has nothing to do', () => {
+  assert.deepStrictEqual(runMigrations(db), []);
+});
+
+test('refuses a database migrated by a newer version', () => {
+  db.prepare("INSERT INTO schema_migrations (version, name) VALUES (999, 'from the future')").run();
+  try {
+    assert.throws(() => runMigrations(db), /newer than this application/);
+  } finally {
+    db.prepare('DELETE FROM schema_migrations WHERE version = 999').run();
+  }
+});
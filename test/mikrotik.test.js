@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeRouter } = require('./fake-routeros');
+
+// Scratch database and router settings have to be in place before the modules load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'billing-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'billing.db');
+process.env.MIKROTIK_HOST = '127.0.0.1';
+process.env.MIKROTIK_USER = 'admin';
+process.env.MIKROTIK_PASSWORD = 'secret';
+
+const { db, customerOps, planOps, transactionOps, paymentOps } = require('../database');
+const mikrotik = require('../mikrotik');
+
+const router = createFakeRouter({ user: 'admin', password: 'secret' });
+let customer;
+
+// YYYY-MM-DD `days` days before today
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function bill(jumlah, jatuhTempo) {
+  return transactionOps.create({
+    customer_id: customer.id,
+    customer_nama: customer.nama,
+    customer_tipe: 'internet',
+    kategori: 'internet',
+    jumlah,
+    jenis: 'pengeluaran',
+    status: 'pending',
+    jatuh_tempo: jatuhTempo
+  });
+}
+
+function secretOf(name) {
+  return router.state.secrets.find(secret => secret.name === name);
+}
+
+before(async () => {
+  process.env.MIKROTIK_PORT = String(await router.listen());
+
+  const plan = planOps.create({ nama: 'Home 10M', harga: 150000, profile: 'home-10m' });
+  customer = customerOps.create({
+    nama: 'Budi',
+    tipe: 'internet',
+    whatsapp: '081234567890',
+    username_pppoe: 'budi',
+    password_pppoe: 'budi123',
+    plan_id: plan.id
+  });
+  customerOps.create({ nama: 'Tanpa PPPoE', tipe: 'internet', whatsapp: '081234567891' });
+});
+
+after(async () => {
+  await router.close();
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('logs in and reads the router identity', async () => {
+  const status = await mikrotik.getStatus();
+  assert.strictEqual(status.connected, true);
+  assert.strictEqual(status.identity, 'FakeRouter');
+});
+
+test('reports a wrong password as not connected', async () => {
+  process.env.MIKROTIK_PASSWORD = 'wrong';
+  try {
+    const status = await mikrotik.getStatus();
+    assert.strictEqual(status.connected, false);
+    assert.match(status.error, /invalid user name or password/);
+  } finally {
+    process.env.MIKROTIK_PASSWORD = 'secret';
+  }
+});
+
+test('sync creates missing secrets and then leaves them alone', async () => {
+  const first = await mikrotik.syncSecrets();
+  assert.strictEqual(first.created, 1);
+  assert.strictEqual(first.skipped, 1);
+  assert.deepStrictEqual(
+    { password: secretOf('budi').password, profile: secretOf('budi').profile, disabled: secretOf('budi').disabled },
+    { password: 'budi123', profile: 'home-10m', disabled: 'false' }
+  );
+
+  const second = await mikrotik.syncSecrets();
+  assert.strictEqual(second.created, 0);
+  assert.strictEqual(second.unchanged, 1);
+
+  customerOps.update(customer.id, { ...customerOps.getById(customer.id), password_pppoe: 'baru456' });
+  const third = await mikrotik.syncSecrets();
+  assert.strictEqual(third.updated, 1);
+  assert.strictEqual(secretOf('budi').password, 'baru456');
+});
+
+test('isolates customers past the threshold and drops their session', async () => {
+  bill(150000, daysAgo(45));
+  bill(150000, daysAgo(5));
+  router.state.active.push({ '.id': '*A1', name: 'budi', address: '10.0.0.2' });
+
+  const summary = await mikrotik.isolateOverdue();
+  assert.strictEqual(summary.isolated, 1);
+  assert.strictEqual(secretOf('budi').disabled, 'true');
+  assert.strictEqual(router.state.active.length, 0);
+  assert.strictEqual(customerOps.getById(customer.id).terisolir, 1);
+});
+
+test('restores only once every bill is paid', async () => {
+  // Pays the old bill; the newer one is not past the threshold but still unpaid
+  paymentOps.create({ customer_id: customer.id, jumlah: 150000 });
+  assert.strictEqual(await mikrotik.restoreIfCleared(customer.id), false);
+  assert.strictEqual(secretOf('budi').disabled, 'true');
+
+  paymentOps.create({ customer_id: customer.id, jumlah: 150000 });
+  assert.strictEqual(await mikrotik.restoreIfCleared(customer.id), true);
+  assert.strictEqual(secretOf('budi').disabled, 'false');
+  assert.strictEqual(customerOps.getById(customer.id).terisolir, 0);
+});
@@ -0,0 +1,81 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scratch database, set before the modules load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'billing-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'billing.db');
+
+const { db, userOps, sessionOps } = require('../database');
+const auth = require('../auth');
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function newUser(username) {
+  return userOps.create({ username, password: 'Rahasia-2026', nama_lengkap: username });
+}
+
+function sessionOf(token) {
+  return sessionOps.getById(auth.verifyAccessToken(token).sid);
+}
+
+test('a refresh token is exchanged for a new pair and then stops working', () => {
+  const user = newUser('budi');
+  const first = auth.startSession(user, { ip: '10.0.0.1' });
+  const second = auth.refreshSession(first.refresh_token);
+
+  assert.notStrictEqual(second.refresh_token, first.refresh_token);
+  assert.strictEqual(auth.verifyAccessToken(second.token).id, user.id);
+  assert.strictEqual(sessionOf(second.token).id, sessionOf(first.token).id);
+
+  const third = auth.refreshSession(second.refresh_token);
+  assert.strictEqual(auth.verifyAccessToken(third.token).username, 'budi');
+});
+
+test('reusing a rotated refresh token revokes the whole session', () => {
+  const user = newUser('sari');
+  const first = auth.startSession(user);
+  const second = auth.refreshSession(first.refresh_token);
+
+  assert.throws(() => auth.refreshSession(first.refresh_token), { status: 401, message: 'Refresh token tidak valid' });
+  assert.throws(() => auth.refreshSession(second.refresh_token), { status: 401 });
+  assert.throws(() => auth.verifyAccessToken(second.token), { status: 401 });
+
+  const session = sessionOps.getById(db.prepare('SELECT id FROM user_sessions WHERE user_id = ?').get(user.id).id);
+  assert.strictEqual(session.revoke_reason, 'reuse');
+  assert.ok(db.prepare("SELECT 1 FROM activity_logs WHERE user_id = ? AND action = 'SESSION_REUSE'").get(user.id));
+});
+
+test('an ended session rejects its access and refresh tokens', () => {
+  const user = newUser('eko');
+  const tokens = auth.startSession(user);
+  const other = auth.startSession(user);
+
+  sessionOps.revoke(sessionOf(tokens.token).id, 'logout');
+  assert.throws(() => auth.verifyAccessToken(tokens.token), { status: 401, message: 'Sesi sudah berakhir, silakan login kembali' });
+  assert.throws(() => auth.refreshSession(tokens.refresh_token), { status: 401, message: 'Sesi sudah berakhir, silakan login kembali' });
+
+  // Other sessions of the user are not affected
+  assert.strictEqual(auth.verifyAccessToken(other.token).username, 'eko');
+});
+
+test('a deactivated user loses access and the session is revoked on refresh', () => {
+  const user = newUser('dewi');
+  const tokens = auth.startSession(user);
+  const sessionId = sessionOf(tokens.token).id;
+
+  userOps.update(user.id, { aktif: false });
+  assert.throws(() => auth.verifyAccessToken(tokens.token), { status: 401, message: 'User tidak valid' });
+  assert.throws(() => auth.refreshSession(tokens.refresh_token), { status: 401, message: 'User tidak valid' });
+  assert.strictEqual(sessionOps.getById(sessionId).revoke_reason, 'user_inactive');
+});
+
+test('rejects access tokens that are not ours', () => {
+  assert.throws(() => auth.verifyAccessToken('bukan.token.jwt'), { status: 401, message: 'Token tidak valid' });
+  assert.throws(() => auth.refreshSession(''), { status: 401, message: 'Refresh token diperlukan' });
+});
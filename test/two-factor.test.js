@@ -0,0 +1,126 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scratch database, set before the modules load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'billing-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'billing.db');
+
+const { db, userOps, settingsOps, twoFactorOps } = require('../database');
+const auth = require('../auth');
+const totp = require('../totp');
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function step(offset = 0) {
+  return Math.floor(Date.now() / 1000 / 30) + offset;
+}
+
+// A user with 2FA on; enrollment uses the code of the current step
+async function enrolledUser(username, role = 'staff') {
+  const user = userOps.create({ username, password: 'Rahasia-2026', nama_lengkap: username, role });
+  const { secret } = await auth.setupTwoFactor(user);
+  const enrolledStep = step();
+  const recoveryCodes = auth.enableTwoFactor(user.id, totp.generate(secret, enrolledStep));
+  return { user: userOps.getById(user.id), secret, enrolledStep, recoveryCodes };
+}
+
+function login(username, factor, ip = '10.0.0.1') {
+  const user = auth.checkCredentials(username, 'Rahasia-2026', ip);
+  return auth.verifyTwoFactorLogin(auth.twoFactorChallenge(user), factor, ip);
+}
+
+test('generates the RFC 6238 codes', () => {
+  // Test secret "12345678901234567890" of RFC 6238, 6-digit form of its SHA1 vectors
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  assert.strictEqual(totp.generate(secret, 1), '287082');
+  assert.strictEqual(totp.generate(secret, Math.floor(1111111109 / 30)), '081804');
+  assert.strictEqual(totp.verify(secret, '287082', 59 * 1000), 1);
+  assert.strictEqual(totp.verify(secret, '287082', 200 * 1000), null);
+});
+
+test('enrollment needs a valid code and returns recovery codes', async () => {
+  const user = userOps.create({ username: 'budi', password: 'Rahasia-2026', nama_lengkap: 'Budi' });
+  const { secret } = await auth.setupTwoFactor(user);
+
+  // A code from five minutes ago is outside the accepted window
+  assert.throws(() => auth.enableTwoFactor(user.id, totp.generate(secret, step(-10))), { status: 400 });
+  assert.strictEqual(twoFactorOps.get(user.id).totp_enabled, 0);
+
+  const codes = auth.enableTwoFactor(user.id, totp.generate(secret));
+  assert.strictEqual(codes.length, 10);
+  assert.strictEqual(twoFactorOps.get(user.id).totp_enabled, 1);
+  assert.strictEqual(twoFactorOps.remainingRecoveryCodes(user.id), 10);
+});
+
+test('an authenticator code works only once', async () => {
+  const { secret, enrolledStep } = await enrolledUser('sari');
+
+  // The enrollment code is used up, and so is every code after a login
+  assert.throws(() => login('sari', { code: totp.generate(secret, enrolledStep) }), { status: 401, message: 'Kode verifikasi salah' });
+  const code = totp.generate(secret, enrolledStep + 1);
+  assert.strictEqual(login('sari', { code }).method, 'totp');
+  assert.throws(() => login('sari', { code }), { status: 401 });
+});
+
+test('a recovery code works once, in any spelling', async () => {
+  const { recoveryCodes } = await enrolledUser('eko');
+
+  assert.strictEqual(login('eko', { recovery_code: recoveryCodes[0] }).method, 'recovery');
+  assert.throws(() => login('eko', { recovery_code: recoveryCodes[0] }), { status: 401 });
+  assert.strictEqual(login('eko', { recovery_code: recoveryCodes[1].toUpperCase().replace('-', ' ') }).method, 'recovery');
+  assert.strictEqual(twoFactorOps.remainingRecoveryCodes(userOps.getByUsername('eko').id), 8);
+});
+
+test('wrong codes count towards the login lockout', async () => {
+  await enrolledUser('dewi');
+
+  for (let i = 0; i < 5; i++) {
+    assert.throws(() => login('dewi', { recovery_code: 'salah-salah' }, `10.0.1.${i}`), { status: 401 });
+  }
+  assert.throws(() => auth.checkCredentials('dewi', 'Rahasia-2026', '10.0.1.9'), { status: 429 });
+});
+
+test('an expired or foreign challenge is refused', async () => {
+  await enrolledUser('rina');
+  const user = auth.checkCredentials('rina', 'Rahasia-2026', '10.0.2.1');
+  const { token } = auth.startSession(user);
+
+  assert.throws(() => auth.verifyTwoFactorLogin('kedaluwarsa', { code: '123456' }, '10.0.2.1'), { status: 401, message: 'Waktu verifikasi habis, silakan login kembali' });
+  assert.throws(() => auth.verifyTwoFactorLogin(token, { code: '123456' }, '10.0.2.1'), { status: 401, message: 'Token verifikasi tidak valid' });
+});
+
+test('new recovery codes and turning 2FA off need the current factors', async () => {
+  const { user, secret, enrolledStep } = await enrolledUser('tono');
+
+  assert.throws(() => auth.regenerateRecoveryCodes(user, '12345', '10.0.3.1'), { status: 400 });
+  const codes = auth.regenerateRecoveryCodes(user, totp.generate(secret, enrolledStep + 1), '10.0.3.1');
+  assert.strictEqual(codes.length, 10);
+
+  assert.throws(() => auth.disableTwoFactor(user, { password: 'salah', recovery_code: codes[0] }, '10.0.3.1'), { status: 400, message: 'Password salah' });
+  auth.disableTwoFactor(user, { password: 'Rahasia-2026', recovery_code: codes[0] }, '10.0.3.1');
+  assert.strictEqual(twoFactorOps.get(user.id).totp_enabled, 0);
+  assert.strictEqual(twoFactorOps.remainingRecoveryCodes(user.id), 0);
+});
+
+test('admins have to enroll once 2FA is required and cannot turn it off', async () => {
+  settingsOps.set('admin_2fa_required', '1');
+  try {
+    const admin = userOps.create({ username: 'kepala', password: 'Rahasia-2026', nama_lengkap: 'Kepala', role: 'admin' });
+    const staff = userOps.create({ username: 'kasir', password: 'Rahasia-2026', nama_lengkap: 'Kasir' });
+    assert.strictEqual(auth.verifyAccessToken(auth.startSession(admin).token).two_factor_setup_required, true);
+    assert.strictEqual(auth.verifyAccessToken(auth.startSession(staff).token).two_factor_setup_required, false);
+
+    const { user, recoveryCodes } = await enrolledUser('wakil', 'admin');
+    assert.strictEqual(auth.verifyAccessToken(auth.startSession(user).token).two_factor_setup_required, false);
+    assert.throws(() => auth.disableTwoFactor(user, { password: 'Rahasia-2026', recovery_code: recoveryCodes[0] }, '10.0.4.1'),
+      { status: 400, message: '2FA wajib untuk admin dan tidak dapat dinonaktifkan' });
+  } finally {
+    settingsOps.set('admin_2fa_required', '0');
+  }
+});
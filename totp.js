@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator, Authy, etc.:
+// HMAC-SHA1, 6 digits, 30 second steps, secrets shared as base32.
+const DIGITS = 6;
+const PERIOD = 30;
+// Steps accepted on either side of the current one, for clock drift between phone and server
+const WINDOW = 1;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/[\s=-]/g, '')) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error('Secret TOTP tidak valid');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// New random 160-bit secret, base32 encoded
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD);
+}
+
+// The code for a time step (HOTP with the step as counter)
+function generate(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+// The time step the code belongs to, or null when it matches none in the window.
+// Callers remember the step so the same code cannot be used twice.
+function verify(secret, code, time = Date.now()) {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(token)) return null;
+
+  const now = currentStep(time);
+  for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+    const expected = generate(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return step;
+  }
+  return null;
+}
+
+// URI for authenticator apps, usually shown as a QR code
+function otpauthUrl(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: PERIOD });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generate,
+  verify,
+  otpauthUrl
+};
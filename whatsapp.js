@@ -1,6 +1,8 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const { customerOps, messageOps } = require('./database');
+const bot = require('./bot');
+const phone = require('./phone');
 
 // WhatsApp client instance
 let client = null;
@@ -47,6 +49,7 @@ const eventHandlers = {
   
   onMessage: async (msg) => {
     console.log('Message received:', msg.from, msg.body.substring(0, 50));
+    await handleIncomingMessage(msg);
   }
 };
 
@@ -167,65 +170,107 @@ function getStatus() {
   return { status: clientStatus, timestamp: new Date().toISOString() };
 }
 
-// Format message with customer data
-function formatMessage(template, customer, amount) {
-  const period = new Date().toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
-  const today = new Date().toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
-  
-  return template
-    .replace(/\{nama\}/g, customer.nama)
-    .replace(/\{jumlah\}/g, parseInt(amount).toLocaleString('id-ID'))
-    .replace(/\{tipe\}/g, customer.tipe === 'internet' ? 'Internet/PPPoE' : 'LPG 3kg')
-    .replace(/\{tanggal\}/g, today)
-    .replace(/\{periode\}/g, period)
-    .replace(/\{username\}/g, customer.username_pppoe || '-')
-    .replace(/\{password\}/g, customer.password_pppoe || '-');
+// Send a text message; throws when the client is not ready.
+// Returns the number (62...) the message went to.
+async function sendText(to, message) {
+  if (!client || clientStatus !== 'ready') {
+    throw new Error('WhatsApp client not ready');
+  }
+
+  const number = phone.toDigits(to);
+  await client.sendMessage(`${number}@c.us`, message);
+  return number;
+}
+
+// Answer self-service bot commands from private chats
+async function handleIncomingMessage(msg) {
+  if (msg.fromMe || msg.type !== 'chat' || !msg.from.endsWith('@c.us')) return;
+
+  const sender = msg.from.replace('@c.us', '');
+  let customer = null;
+
+  try {
+    customer = customerOps.getByPhone(phone.normalize(sender));
+
+    // Every private chat is logged, also messages the bot does not answer
+    messageOps.create({
+      customer_id: customer?.id,
+      customer_nama: customer?.nama,
+      phone: sender,
+      message_type: 'inbound',
+      status: 'success',
+      message_preview: msg.body.substring(0, 200)
+    });
+
+    const result = bot.getReply(msg.body, customer);
+    if (!result) return;
+
+    await msg.reply(result.reply);
+
+    messageOps.create({
+      customer_id: customer?.id,
+      customer_nama: customer?.nama,
+      phone: sender,
+      message_type: 'bot_reply',
+      status: 'success',
+      message_preview: result.reply.substring(0, 200)
+    });
+  } catch (error) {
+    console.error('Failed to answer incoming message:', error);
+
+    messageOps.create({
+      customer_id: customer?.id,
+      customer_nama: customer?.nama,
+      phone: sender,
+      message_type: 'bot_reply',
+      status: 'failed',
+      error_message: error.message
+    });
+  }
 }
 
-// Send billing message to single customer
-async function sendBillingMessage(customerId, message, userId = null) {
+// Send a file (e.g. an invoice PDF) to a customer
+async function sendDocument(customerId, file, caption = '', userId = null, messageType = 'document') {
+  let customer = null;
+
   try {
     if (!client || clientStatus !== 'ready') {
       throw new Error('WhatsApp client not ready');
     }
 
-    const customer = customerOps.getById(customerId);
+    customer = customerOps.getById(customerId);
     if (!customer) {
       throw new Error('Customer not found');
     }
 
-    const phone = customer.whatsapp.replace(/\D/g, '');
-    const formattedPhone = phone.startsWith('0') ? '62' + phone.substring(1) : phone;
-    const chatId = `${formattedPhone}@c.us`;
+    const formattedPhone = phone.toDigits(customer.whatsapp);
+    const media = new MessageMedia(file.mimetype, file.data.toString('base64'), file.filename);
+
+    await client.sendMessage(`${formattedPhone}@c.us`, media, { caption });
 
-    // Send message
-    await client.sendMessage(chatId, message);
-    
-    // Log success
     messageOps.create({
       customer_id: customerId,
       customer_nama: customer.nama,
       phone: formattedPhone,
-      message_type: 'billing',
+      message_type: messageType,
       status: 'success',
-      message_preview: message.substring(0, 200),
+      message_preview: `[${file.filename}] ${caption}`.substring(0, 200),
       sent_by: userId
     });
 
-    console.log(`✅ Message sent to ${customer.nama} (${formattedPhone})`);
+    console.log(`✅ Document ${file.filename} sent to ${customer.nama} (${formattedPhone})`);
     return { success: true, customer: customer.nama, phone: formattedPhone };
 
   } catch (error) {
-    console.error('Failed to send message:', error);
-    
-    // Log failure
+    console.error('Failed to send document:', error);
+
     messageOps.create({
       customer_id: customerId,
       customer_nama: customer?.nama,
-      phone: null,
-      message_type: 'billing',
+      phone: customer?.whatsapp || '-',
+      message_type: messageType,
       status: 'failed',
-      message_preview: message?.substring(0, 200),
+      message_preview: `[${file.filename}] ${caption}`.substring(0, 200),
       error_message: error.message,
       sent_by: userId
     });
@@ -234,56 +279,6 @@ async function sendBillingMessage(customerId, message, userId = null) {
   }
 }
 
-// Broadcast billing message to all customers with pending bills
-async function broadcastBillingMessage(template, userId = null) {
-  const results = { total: 0, success: 0, failed: 0, details: [] };
-
-  try {
-    const debtors = customerOps.getWithPending();
-    console.log(`Found ${debtors.length} customers with pending bills`);
-
-    for (const customer of debtors) {
-      results.total++;
-      
-      // Format message for this customer
-      const message = formatMessage(template, customer, customer.total_debt);
-      
-      // Send message
-      const sendResult = await sendBillingMessage(customer.id, message, userId);
-      
-      if (sendResult.success) {
-        results.success++;
-      } else {
-        results.failed++;
-      }
-      
-      results.details.push({
-        customer: customer.nama,
-        status: sendResult.success ? 'success' : 'failed',
-        error: sendResult.error || null
-      });
-
-      // Delay between messages to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1500));
-    }
-
-    return {
-      success: true,
-      message: `Broadcast completed: ${results.success} sent, ${results.failed} failed`,
-      summary: results
-    };
-
-  } catch (error) {
-    console.error('Broadcast failed:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-// Get message logs
-function getMessageLogs(limit = 50) {
-  return messageOps.getRecent(limit);
-}
-
 // Get message stats
 function getMessageStats() {
   return messageOps.getStats();
@@ -293,9 +288,8 @@ module.exports = {
   startService,
   stopService,
   getStatus,
-  sendBillingMessage,
-  broadcastBillingMessage,
-  getMessageLogs,
+  sendText,
+  sendDocument,
   getMessageStats,
   setCallbacks,
   initClient